@@ -0,0 +1,85 @@
+// Bytes on the wire per message for the JSON and MessagePack parsers, raw and
+// deflated the way permessage-deflate would send them.
+//
+// usage: npm run bench:wire [-- --nodes 500]
+
+import zlib from 'zlib'
+import * as jsonParser from 'socket.io-parser'
+import msgpackParser from 'socket.io-msgpack-parser'
+import { config } from '../src/config/app.config.js'
+import { diffSnapshots, invertDiff } from '../src/realtime/diff.js'
+
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`)
+  return i >= 0 ? Number(process.argv[i + 1]) : fallback
+}
+const NODES = arg('nodes', 200)
+const ITERATIONS = arg('iterations', 200)
+
+const node = (i) => ({
+  id: `node-${i}`,
+  type: 'custom',
+  position: { x: Math.round(Math.random() * 4000), y: Math.round(Math.random() * 3000) },
+  width: 180,
+  height: 48,
+  data: { label: `Idea number ${i}`, color: '#3b82f6', shape: 'rounded', collapsed: false },
+})
+const edge = (i) => ({
+  id: `edge-${i}`,
+  source: `node-${Math.floor(i / 2)}`,
+  target: `node-${i + 1}`,
+  type: 'smoothstep',
+  data: { label: '' },
+})
+
+const nodes = Array.from({ length: NODES }, (_, i) => node(i))
+const edges = Array.from({ length: NODES - 1 }, (_, i) => edge(i))
+// An undo of an edit that moved five nodes and renamed one, as history.js builds it
+const edited = nodes.map((n, i) => (i < 5 ? { ...n, position: { x: n.position.x + 40, y: n.position.y - 25 } } : n))
+edited[0] = { ...edited[0], data: { ...edited[0].data, label: 'Renamed idea' } }
+const undoChanges = invertDiff(diffSnapshots({ nodes, edges }, { nodes: edited, edges }))
+const room = 'mindmap:6650f2c4e1b3a2d4c8f1e9a0'
+const seq = { room, seq: 1234 }
+
+const SAMPLES = {
+  'mindmap:nodes:change (1 drag)': [room, [{ type: 'position', id: 'node-1', position: { x: 812.5, y: 340 }, dragging: true }], seq],
+  'mindmap:nodes:change (20 moved)': [room, nodes.slice(0, 20).map((n) => ({ type: 'position', id: n.id, position: n.position, dragging: false })), seq],
+  'room:frame (10 cursors)': [Array.from({ length: 10 }, (_, i) => ({ kind: 'cursor', clientId: `c${i}xQ2mP9aLk0`, cursor: { x: 100 + i, y: 200 + i } }))],
+  'undo:result (node diff)': [{ success: true, changes: undoChanges, entryId: 'h-42', clientId: 'c1xQ2mP9aLk0', userId: '17' }, seq],
+  [`mindmap:snapshot (${NODES} nodes)`]: [room, { snapshot: { nodes, edges, viewport: { x: 0, y: 0, zoom: 1 } } }],
+}
+
+const jsonEncoder = new jsonParser.Encoder()
+const msgpackEncoder = new msgpackParser.Encoder()
+const size = (parts) => parts.reduce((sum, p) => sum + (typeof p === 'string' ? Buffer.byteLength(p) : p.length), 0)
+const deflated = (parts) => size(parts.map((p) => zlib.deflateRawSync(typeof p === 'string' ? Buffer.from(p) : p)))
+const compresses = (bytes) => config.wireCompressionEnabled && bytes >= config.wireCompressionThreshold
+
+const time = (fn) => {
+  const start = process.hrtime.bigint()
+  for (let i = 0; i < ITERATIONS; i++) fn()
+  return Number(process.hrtime.bigint() - start) / 1e3 / ITERATIONS
+}
+
+const rows = []
+for (const [name, args] of Object.entries(SAMPLES)) {
+  const packet = { type: 2, nsp: '/realtime', data: [name.split(' ')[0], ...args] }
+  const json = jsonEncoder.encode(packet)
+  const msgpack = msgpackEncoder.encode(packet)
+  const jsonBytes = size(json)
+  const msgpackBytes = size(msgpack)
+  rows.push({
+    event: name,
+    'json B': jsonBytes,
+    'msgpack B': msgpackBytes,
+    'saved %': Math.round((1 - msgpackBytes / jsonBytes) * 100),
+    'json+deflate B': deflated(json),
+    'msgpack+deflate B': deflated(msgpack),
+    'deflated by server': compresses(jsonBytes) ? 'yes' : 'no',
+    'json µs': time(() => jsonEncoder.encode(packet)).toFixed(1),
+    'msgpack µs': time(() => msgpackEncoder.encode(packet)).toFixed(1),
+  })
+}
+
+console.log(`Compression threshold: ${config.wireCompressionEnabled ? `${config.wireCompressionThreshold} B` : 'off'}`)
+console.table(rows)
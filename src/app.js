@@ -2,38 +2,75 @@ import express from 'express'
 import cors from 'cors'
 import helmet from 'helmet'
 import { config } from './config/app.config.js'
+import { captureRawBody, requireInternalSignature, requireMetricsToken, requireAdminToken } from './middleware/internal-auth.js'
+import { requestContext } from './middleware/request-id.js'
+import { runOnCluster } from './realtime/cluster.js'
+import { normalizePermissionChange } from './realtime/permissions.js'
+import { isAiStreamEvent, relayAiStreamFrame } from './realtime/ai-stream.js'
+import { getRateLimitStats } from './realtime/rate-limit.js'
+import { renderMetrics } from './realtime/metrics.js'
+import { checkReadiness } from './realtime/health.js'
+import { listRooms, describeRoom, kickSockets, resyncRoom, clearRoomHistory, broadcastMaintenance } from './realtime/admin.js'
 
 const app = express()
 
+app.use(requestContext)
 app.use(helmet())
 app.use(cors({
   origin: config.corsOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-RiverFlow-Timestamp', 'X-RiverFlow-Signature', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
 }))
-app.use(express.json())
-app.use(express.urlencoded({ extended: true }))
+app.use(express.json({ verify: captureRawBody }))
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }))
 
 app.get('/', (req, res) => {
   res.json({ success: true, message: 'RiverFlow Realtime ServerSide', documentation: '/realtime' })
 })
 
-app.post('/realtime/mindmap/event', async (req, res) => {
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ ok: true, uptime: Math.round(process.uptime()) })
+})
+
+// Readiness: Redis, the buffer's Redis and the backend are all reachable
+app.get('/readyz', async (req, res) => {
+  const readiness = await checkReadiness()
+  res.status(readiness.ok ? 200 : 503).json(readiness)
+})
+
+// Prometheus scrape endpoint for this instance
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics())
+  } catch (e) {
+    req.log.error('http: handler failed', e)
+    res.status(500).json({ ok: false, error: String(e && e.message || e) })
+  }
+})
+
+app.post('/realtime/mindmap/event', requireInternalSignature, async (req, res) => {
   try {
     const { mindmapId, room, event, data } = req.body || {}
     const io = globalThis.realtimeIO
     if (!io) return res.status(500).json({ ok: false, error: 'io not ready' })
     if (!event || (!mindmapId && !room)) return res.status(400).json({ ok: false, error: 'missing event or room/mindmapId' })
     const r = room || `mindmap:${mindmapId}`
+    if (isAiStreamEvent(event)) {
+      const result = await relayAiStreamFrame(io.of('/realtime'), r, event, data || {})
+      return res.status(result.status).json(result.body)
+    }
     io.of('/realtime').to(r).emit(event, data || {})
     res.json({ ok: true })
   } catch (e) {
+    req.log.error('http: handler failed', e)
     res.status(500).json({ ok: false, error: String(e && e.message || e) })
   }
 })
 
-app.post('/notify/permission-change', async (req, res) => {
+app.post('/notify/permission-change', requireInternalSignature, async (req, res) => {
   try {
     const { mindmapId, eventType, data } = req.body || {}
     const io = globalThis.realtimeIO
@@ -51,10 +88,85 @@ app.post('/notify/permission-change', async (req, res) => {
       io.of('/realtime').to(room).emit('permission:public:changed', data)
     }
 
-    res.json({ ok: true })
+    // Update or revoke the affected sockets on every instance
+    const results = await runOnCluster(io.of('/realtime'), 'permission:change', normalizePermissionChange(mindmapId, eventType, data))
+    const affected = results.reduce((acc, r) => ({
+      updated: acc.updated + (r?.updated || 0),
+      revoked: acc.revoked + (r?.revoked || 0),
+    }), { updated: 0, revoked: 0 })
+
+    res.json({ ok: true, affected })
   } catch (e) {
+    req.log.error('http: handler failed', e)
     res.status(500).json({ ok: false, error: String(e && e.message || e) })
   }
 })
 
+// Throttling counters for this instance
+app.get('/realtime/stats/rate-limit', requireInternalSignature, (req, res) => {
+  res.json({ ok: true, ...getRateLimitStats() })
+})
+
+// ===== ADMIN =====
+// Inspect and manage live rooms across every instance
+
+const adminRoute = (handler) => async (req, res) => {
+  try {
+    const io = globalThis.realtimeIO
+    if (!io) return res.status(500).json({ ok: false, error: 'io not ready' })
+    await handler(req, res, io.of('/realtime'))
+  } catch (e) {
+    req.log.error('admin: request failed', e)
+    res.status(500).json({ ok: false, error: String(e && e.message || e) })
+  }
+}
+
+app.use('/admin', requireAdminToken)
+
+app.get('/admin/rooms', adminRoute(async (req, res, nsp) => {
+  res.json({ ok: true, rooms: await listRooms(nsp) })
+}))
+
+app.get('/admin/rooms/:mindmapId', adminRoute(async (req, res, nsp) => {
+  res.json({ ok: true, ...(await describeRoom(nsp, `mindmap:${req.params.mindmapId}`)) })
+}))
+
+app.post('/admin/rooms/:mindmapId/resync', adminRoute(async (req, res, nsp) => {
+  const room = `mindmap:${req.params.mindmapId}`
+  const result = await resyncRoom(nsp, room)
+  req.log.info('admin: room resync', { room, ...result })
+  res.json({ ok: true, room, ...result })
+}))
+
+app.delete('/admin/rooms/:mindmapId/history', adminRoute(async (req, res, nsp) => {
+  const room = `mindmap:${req.params.mindmapId}`
+  const result = await clearRoomHistory(nsp, room)
+  req.log.info('admin: history cleared', { room, ...result })
+  res.json({ ok: true, room, ...result })
+}))
+
+// { socketId } or { userId }, optionally limited to { mindmapId }
+app.post('/admin/kick', adminRoute(async (req, res, nsp) => {
+  const { socketId, userId, mindmapId, reason } = req.body || {}
+  if (!socketId && userId == null) return res.status(400).json({ ok: false, error: 'missing socketId or userId' })
+  const room = mindmapId ? `mindmap:${mindmapId}` : null
+  const kicked = await kickSockets(nsp, { socketId, userId, room, reason: reason || 'kicked' })
+  req.log.info('admin: kicked', { kickedSocketId: socketId, kickedUserId: userId, room, sockets: kicked.length })
+  res.json({ ok: true, kicked })
+}))
+
+app.post('/admin/maintenance', adminRoute(async (req, res, nsp) => {
+  const { message, mindmapId, startsAt, durationMs } = req.body || {}
+  if (!message) return res.status(400).json({ ok: false, error: 'missing message' })
+  const room = mindmapId ? `mindmap:${mindmapId}` : null
+  const notice = broadcastMaintenance(nsp, {
+    message: String(message),
+    room,
+    startsAt: startsAt || null,
+    durationMs: Number(durationMs) || null,
+  })
+  req.log.info('admin: maintenance notice', { room })
+  res.json({ ok: true, notice })
+}))
+
 export default app
@@ -1,16 +1,28 @@
-
 // src/buffer.js (ESM)
-// Buffer utility that uses an existing Socket.IO instance (no duplicate server)
+// Batching pipeline for high-frequency room events.
+//
+// Items are partitioned per room. Every `flushIntervalMs` the pending items of
+// each room are taken and emitted on the configured namespace as one array
+// per event, in chunks of `maxChunkSize`. Items stay in the memory of the
+// instance they were added on, even with several instances: the adapter
+// carries each emitted batch to the others.
+//
+// Items added with a `key` are coalesced: only the latest item per key and
+// room is kept until the next flush, which suits cursors and drag positions.
+// A batch made only of `volatile` items is emitted with `volatile`, so slow
+// clients drop frames instead of queueing them.
 
 import Redis from 'ioredis';
+import { logger } from './logger.js';
 
 class Buffer {
   /**
    * @param {object} [options]
    * @param {number} [options.flushIntervalMs=1000]
-   * @param {number} [options.maxBufferSize=5000]
+   * @param {number} [options.maxBufferSize=5000] - pending items kept per room; the oldest are dropped
    * @param {number} [options.maxChunkSize=500]
-   * @param {boolean} [options.useRedis=false]
+   * @param {string} [options.namespace='/realtime'] - Socket.IO namespace batches are emitted on
+   * @param {boolean} [options.useRedis=false] - open a Redis connection, shared through redisClient()
    * @param {string|null} [options.redisUrl=null]
    * @param {import('socket.io').Server} [options.io=null] - Existing Socket.IO instance
    */
@@ -19,6 +31,7 @@ class Buffer {
       flushIntervalMs = 1000,
       maxBufferSize = 5000,
       maxChunkSize = 500,
+      namespace = '/realtime',
       useRedis = false,
       redisUrl = null,
       io = null,
@@ -26,24 +39,23 @@ class Buffer {
 
     // Use existing io instance instead of creating a new one
     this.io = io;
-    this.buffer = [];
+    this.namespace = namespace;
+    this.partitions = new Map(); // room -> { items, latest: Map<key, item> }
     this.flushIntervalMs = flushIntervalMs;
     this.maxBufferSize = maxBufferSize;
     this.maxChunkSize = maxChunkSize;
     this._intervalHandle = null;
-    this._isFlushing = false;
+    this._flushStats = { count: 0, totalMs: 0, lastMs: 0 };
+    this._redisInit = null;
     this.redisClientInstance = null;
     this.useRedis = useRedis;
     this.redisUrl = redisUrl;
 
-    // Redis buffer key for persistence
-    this.redisBufferKey = 'riverflow:realtime:buffer';
-
     this.startBuffering();
 
     if (this.useRedis) {
       this._initRedis().catch((err) => {
-        console.error('[Buffer] Redis init failed, falling back to in-memory:', err.message);
+        logger.error('buffer: redis init failed, falling back to in-memory', err);
         this.useRedis = false;
       });
     }
@@ -62,123 +74,143 @@ class Buffer {
   }
 
   /**
-   * Add data to buffer. Optionally target a room/event.
-   * Uses Redis if available, otherwise in-memory.
+   * Queue `payload` for the next batch of `event` in `room`.
+   * Receivers get `event` with an array of payloads, including the sender's
+   * own, so payloads should say who they came from.
+   * @param {string} room - a room name, or '' for the whole namespace
+   * @param {string} event
+   * @param {any} payload
+   * @param {object} [options]
+   * @param {string} [options.key] - replaces a pending item of the room with the same key
+   * @param {boolean} [options.volatile=false] - the item may be dropped for slow clients
+   */
+  add(room, event, payload, { key = null, volatile = false } = {}) {
+    const item = { event, payload, volatile, timestamp: Date.now() };
+    let partition = this.partitions.get(room);
+    if (!partition) {
+      partition = { items: [], latest: new Map() };
+      this.partitions.set(room, partition);
+    }
+    if (key) {
+      // Re-inserted so coalesced items keep the order of their latest update
+      partition.latest.delete(key);
+      partition.latest.set(key, item);
+      return;
+    }
+    if (partition.items.length >= this.maxBufferSize) partition.items.shift();
+    partition.items.push(item);
+  }
+
+  /**
+   * @deprecated use add(room, event, payload)
    * @param {any} data
    * @param {{room?: string, event?: string}} [opts]
    */
-  async addToBuffer(data, opts = {}) {
+  addToBuffer(data, opts = {}) {
     const { room = null, event = 'bufferedData' } = opts;
-    const item = { payload: data, room, event, timestamp: Date.now() };
+    return this.add(room || '', event, data);
+  }
 
-    if (this.useRedis && this.redisClientInstance) {
-      try {
-        // Use Redis list for buffer storage
-        await this.redisClientInstance.rpush(this.redisBufferKey, JSON.stringify(item));
-        // Trim to max size
-        await this.redisClientInstance.ltrim(this.redisBufferKey, -this.maxBufferSize, -1);
-        return;
-      } catch (err) {
-        console.error('[Buffer] Redis addToBuffer failed, using in-memory:', err.message);
-      }
-    }
+  /** Items waiting for the next flush */
+  getBufferLength() {
+    let length = 0;
+    for (const { items, latest } of this.partitions.values()) length += items.length + latest.size;
+    return length;
+  }
 
-    // Fallback: in-memory buffer
-    if (this.buffer.length >= this.maxBufferSize) {
-      this.buffer.shift();
-    }
-    this.buffer.push(item);
+  /**
+   * Pending items and flush timings since start.
+   * @returns {Promise<{ pending: number, flushes: number, flushTotalMs: number, lastFlushMs: number }>}
+   */
+  async stats() {
+    const { count, totalMs, lastMs } = this._flushStats;
+    return { pending: this.getBufferLength(), flushes: count, flushTotalMs: totalMs, lastFlushMs: lastMs };
   }
 
-  getBuffer() {
-    return [...this.buffer];
+  // Take every pending item, by room
+  _claim() {
+    const claimed = new Map();
+    for (const [room, { items, latest }] of this.partitions) claimed.set(room, [...items, ...latest.values()]);
+    this.partitions.clear();
+    return claimed;
   }
 
-  getBufferLength() {
-    return this.buffer.length;
-  }
-
-  async _flush() {
-    if (this._isFlushing) return;
-    if (!this.io) return; // No io instance, skip flush
-    this._isFlushing = true;
-
-    try {
-      let toSend = [];
-
-      if (this.useRedis && this.redisClientInstance) {
-        try {
-          // Get all items from Redis and clear
-          const items = await this.redisClientInstance.lrange(this.redisBufferKey, 0, -1);
-          if (items.length > 0) {
-            await this.redisClientInstance.del(this.redisBufferKey);
-            toSend = items.map(item => {
-              try {
-                return JSON.parse(item);
-              } catch {
-                return null;
-              }
-            }).filter(Boolean);
-          }
-        } catch (err) {
-          console.error('[Buffer] Redis flush failed, using in-memory:', err.message);
-          toSend = this.buffer;
-          this.buffer = [];
-        }
-      } else {
-        toSend = this.buffer;
-        this.buffer = [];
+  _emitRoom(room, items) {
+    const nsp = this.io.of(this.namespace);
+    const groups = new Map(); // event -> { payloads, volatile }, in arrival order
+    for (const { event, payload, volatile } of items) {
+      if (!groups.has(event)) groups.set(event, { payloads: [], volatile: true });
+      const group = groups.get(event);
+      group.payloads.push(payload);
+      // One reliable item makes its whole batch reliable
+      if (!volatile) group.volatile = false;
+    }
+    for (const [event, { payloads, volatile }] of groups) {
+      for (let i = 0; i < payloads.length; i += this.maxChunkSize) {
+        const chunk = payloads.slice(i, i + this.maxChunkSize);
+        let target = room ? nsp.to(room) : nsp;
+        if (volatile) target = target.volatile;
+        target.emit(event, chunk);
       }
+    }
+  }
 
-      if (toSend.length === 0) return;
+  /** Emit everything pending now; also runs every `flushIntervalMs` */
+  flush() {
+    return this._flush();
+  }
 
-      const groups = new Map(); // key: `${room ?? ''}::${event ?? 'bufferedData'}`
-      for (const { payload, room, event } of toSend) {
-        const key = `${room ?? ''}::${event ?? 'bufferedData'}`;
-        if (!groups.has(key)) groups.set(key, []);
-        groups.get(key).push(payload);
-      }
+  _flush() {
+    if (!this.io) return Promise.resolve(); // No io instance, skip flush
 
-      for (const [key, items] of groups.entries()) {
-        const [room, event] = key.split('::');
-        const actualEvent = event || 'bufferedData';
-
-        for (let i = 0; i < items.length; i += this.maxChunkSize) {
-          const chunk = items.slice(i, i + this.maxChunkSize);
-          if (room) {
-            this.io.to(room).emit(actualEvent, chunk);
-          } else {
-            this.io.emit(actualEvent, chunk);
-          }
-        }
+    const startedAt = Date.now();
+    let rooms = 0;
+    for (const [room, items] of this._claim()) {
+      rooms += 1;
+      try {
+        if (items.length > 0) this._emitRoom(room, items);
+      } catch (err) {
+        logger.error('buffer: flush failed', { room, err });
       }
-    } catch (err) {
-      console.error('[Buffer] Flush error:', err);
-    } finally {
-      this._isFlushing = false;
     }
+    // Idle ticks are not counted, so the timings describe real flushes
+    if (rooms > 0) {
+      const elapsed = Date.now() - startedAt;
+      this._flushStats.count += 1;
+      this._flushStats.totalMs += elapsed;
+      this._flushStats.lastMs = elapsed;
+    }
+    return Promise.resolve();
   }
 
   /** Initialize Redis client with ioredis (better TLS and reconnection support) */
-  async _initRedis() {
-    if (this.redisClientInstance) return this.redisClientInstance;
+  _initRedis() {
+    if (this.redisClientInstance) return Promise.resolve(this.redisClientInstance);
+    if (!this._redisInit) {
+      this._redisInit = this._connectRedis().finally(() => {
+        this._redisInit = null;
+      });
+    }
+    return this._redisInit;
+  }
 
+  async _connectRedis() {
     const client = new Redis(this.redisUrl);
 
     client.on('error', (err) => {
-      console.error('[Buffer] Redis Client Error:', err.message);
+      logger.error('buffer: redis client error', err);
     });
 
     client.on('connect', () => {
-      console.log('[Buffer] Redis client connected.');
+      logger.debug('buffer: redis client connected');
     });
 
     client.on('ready', () => {
-      console.log('[Buffer] Redis client ready.');
+      logger.info('buffer: redis client ready');
     });
 
     client.on('reconnecting', () => {
-      console.log('[Buffer] Redis client reconnecting...');
+      logger.warn('buffer: redis client reconnecting');
     });
 
     // Wait for connection with timeout
@@ -213,15 +245,16 @@ class Buffer {
     this.io = io;
   }
 
-  /** Graceful shutdown: stop timers and close Redis */
+  /** Graceful shutdown: stop timers, flush what is pending and close Redis */
   async close() {
     this.stopBuffering();
+    await this._flush();
     if (this.redisClientInstance) {
       try {
         await this.redisClientInstance.quit();
-        console.log('[Buffer] Redis client closed.');
+        logger.info('buffer: redis client closed');
       } catch (err) {
-        console.error('[Buffer] Redis quit error:', err.message);
+        logger.error('buffer: redis quit failed', err);
       } finally {
         this.redisClientInstance = null;
       }
@@ -5,13 +5,65 @@ dotenv.config()
 export const config = {
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || 'production',
+  logLevel: process.env.LOG_LEVEL || ((process.env.NODE_ENV || 'production') === 'production' ? 'info' : 'debug'),
+  logFormat: process.env.LOG_FORMAT || ((process.env.NODE_ENV || 'production') === 'production' ? 'json' : 'pretty'),
+  logSampleRate: Number(process.env.LOG_SAMPLE_RATE) || 0.01,
   jwtSecret: process.env.JWT_SECRET || null,
+  internalApiSecret: process.env.INTERNAL_API_SECRET || null,
+  internalSignatureWindowMs: Number(process.env.INTERNAL_SIGNATURE_WINDOW_MS) || 5 * 60 * 1000,
+  metricsToken: process.env.METRICS_TOKEN || null,
+  adminToken: process.env.ADMIN_TOKEN || null,
   backendUrl: process.env.APP_BACKEND_URL || 'https://river-flow.id.vn/api',
+  backendTimeoutMs: Number(process.env.BACKEND_TIMEOUT_MS) || 5000,
+  backendBreakerThreshold: Number(process.env.BACKEND_BREAKER_THRESHOLD) || 5,
+  backendBreakerCooldownMs: Number(process.env.BACKEND_BREAKER_COOLDOWN_MS) || 30000,
+  backendCacheTtlMs: Number(process.env.BACKEND_CACHE_TTL_MS) || 30000,
+  backendHealthPath: process.env.BACKEND_HEALTH_PATH || '/health',
   corsOrigins: process.env.CORS_ORIGINS
     ? process.env.CORS_ORIGINS.split(',').map((o) => o.trim())
     : ['http://localhost:3000', 'http://localhost:8080', 'https://river-flow.id.vn', 'https://river-flow-client.vercel.app'],
   redisUrl: process.env.REDIS_URL || null,
   useRedis: process.env.USE_REDIS === 'true' || !!process.env.REDIS_URL,
+  presenceTtlMs: Number(process.env.PRESENCE_TTL_MS) || 30000,
+  presenceHeartbeatMs: Number(process.env.PRESENCE_HEARTBEAT_MS) || 10000,
+  historyMaxSize: Number(process.env.HISTORY_MAX_SIZE) || 50,
+  historyIdleTtlMs: Number(process.env.HISTORY_IDLE_TTL_MS) || 24 * 60 * 60 * 1000,
+  historyCheckpointEvery: Number(process.env.HISTORY_CHECKPOINT_EVERY) || 20,
+  historyOutboxFile: process.env.HISTORY_OUTBOX_FILE || 'data/history-outbox.jsonl',
+  historyOutboxIntervalMs: Number(process.env.HISTORY_OUTBOX_INTERVAL_MS) || 2000,
+  historyOutboxBatchSize: Number(process.env.HISTORY_OUTBOX_BATCH_SIZE) || 20,
+  historyOutboxMaxAttempts: Number(process.env.HISTORY_OUTBOX_MAX_ATTEMPTS) || 10,
+  historyOutboxBaseDelayMs: Number(process.env.HISTORY_OUTBOX_BASE_DELAY_MS) || 1000,
+  historyOutboxMaxDelayMs: Number(process.env.HISTORY_OUTBOX_MAX_DELAY_MS) || 5 * 60 * 1000,
+  historySignedDelivery: process.env.HISTORY_SIGNED_DELIVERY === 'true',
+  autosaveDebounceMs: Number(process.env.AUTOSAVE_DEBOUNCE_MS) || 3000,
+  autosaveMaxWaitMs: Number(process.env.AUTOSAVE_MAX_WAIT_MS) || 30 * 1000,
+  drainTimeoutMs: Number(process.env.DRAIN_TIMEOUT_MS) || 20 * 1000,
+  drainStages: Number(process.env.DRAIN_STAGES) || 5,
+  roomStateFile: process.env.ROOM_STATE_FILE || 'data/room-state.json',
+  roomStateTtlMs: Number(process.env.ROOM_STATE_TTL_MS) || 10 * 60 * 1000,
+  aiStreamMaxFrames: Number(process.env.AI_STREAM_MAX_FRAMES) || 2000,
+  aiStreamTtlMs: Number(process.env.AI_STREAM_TTL_MS) || 10 * 60 * 1000,
+  replayMaxEvents: Number(process.env.REPLAY_MAX_EVENTS) || 500,
+  replayMaxBytes: Number(process.env.REPLAY_MAX_BYTES) || 512 * 1024,
+  replayTtlMs: Number(process.env.REPLAY_TTL_MS) || 10 * 60 * 1000,
+  bufferFlushIntervalMs: Number(process.env.BUFFER_FLUSH_INTERVAL_MS) || 33,
+  bufferMaxSize: Number(process.env.BUFFER_MAX_SIZE) || 5000,
+  bufferMaxChunkSize: Number(process.env.BUFFER_MAX_CHUNK_SIZE) || 500,
+  bufferNamespace: process.env.BUFFER_NAMESPACE || '/realtime',
+  wireMsgpackEnabled: process.env.WIRE_MSGPACK_ENABLED !== 'false',
+  wireCompressionEnabled: process.env.WIRE_COMPRESSION_ENABLED !== 'false',
+  wireCompressionThreshold: Number(process.env.WIRE_COMPRESSION_THRESHOLD) || 8 * 1024,
+  chatMaxMessages: Number(process.env.CHAT_MAX_MESSAGES) || 1000,
+  chatTtlMs: Number(process.env.CHAT_TTL_MS) || 30 * 24 * 60 * 60 * 1000,
+  chatPageSize: Number(process.env.CHAT_PAGE_SIZE) || 50,
+  chatMentionNotify: process.env.CHAT_MENTION_NOTIFY === 'true',
+  lockTtlMs: Number(process.env.LOCK_TTL_MS) || 15000,
+  rateLimitEnabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  rateLimits: process.env.RATE_LIMITS || '',
+  rateLimitMaxViolations: Number(process.env.RATE_LIMIT_MAX_VIOLATIONS) || 50,
+  rateLimitViolationWindowMs: Number(process.env.RATE_LIMIT_VIOLATION_WINDOW_MS) || 10 * 1000,
+  rateLimitUserFactor: Number(process.env.RATE_LIMIT_USER_FACTOR) || 0,
 }
 
 export default config
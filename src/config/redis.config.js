@@ -0,0 +1,30 @@
+import Redis from 'ioredis'
+import { config } from './app.config.js'
+import { logger } from '../logger.js'
+
+// Shared Redis connection for realtime state (presence, history, locks...).
+// The Socket.IO adapter and the Buffer keep their own dedicated connections.
+let client = null
+
+export function getRedisClient() {
+  if (!config.useRedis || !config.redisUrl) return null
+  if (client) return client
+
+  client = new Redis(config.redisUrl)
+  client.on('error', (err) => logger.error('redis: shared client error', err))
+  client.on('ready', () => logger.info('redis: shared client ready'))
+  return client
+}
+
+export async function closeRedisClient() {
+  if (!client) return
+  try {
+    await client.quit()
+  } catch (err) {
+    logger.error('redis: shared client quit failed', err)
+  } finally {
+    client = null
+  }
+}
+
+export default getRedisClient
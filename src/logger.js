@@ -0,0 +1,117 @@
+// Structured, leveled logging.
+//
+// `logger.child(context)` binds fields such as socketId, userId, room, event
+// or requestId, which every entry of the child then carries. Production writes
+// one JSON object per line; development writes readable lines. Fields named
+// like credentials (tokens, share tokens, secrets...) are redacted at any
+// depth, so payloads can be logged as they are.
+
+import { config } from './config/app.config.js'
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+const SENSITIVE_KEY = /token|authorization|password|secret|cookie|signature/i
+const MAX_DEPTH = 5
+
+const threshold = LEVELS[config.logLevel] ?? LEVELS.info
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message }
+  if (err.code !== undefined) out.code = err.code
+  if (err.status !== undefined) out.status = err.status
+  if (config.nodeEnv !== 'production' && err.stack) out.stack = err.stack
+  return out
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value)
+  if (value === null || typeof value !== 'object') return value
+  if (depth >= MAX_DEPTH) return '[truncated]'
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1))
+  const out = {}
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEY.test(key) && v != null ? '[redacted]' : redact(v, depth + 1)
+  }
+  return out
+}
+
+const time = (date) => date.toISOString().slice(11, 23)
+
+function prettyValue(value) {
+  if (typeof value === 'string') return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value
+  return JSON.stringify(value)
+}
+
+function write(level, entry) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  if (config.logFormat === 'json') {
+    stream.write(`${JSON.stringify(entry)}\n`)
+    return
+  }
+  const { time: at, level: _, msg, err, ...fields } = entry
+  const pairs = Object.entries(fields).map(([k, v]) => `${k}=${prettyValue(v)}`)
+  let line = `${time(new Date(at))} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`
+  if (err) line += ` err=${prettyValue(err.message)}${err.stack ? `\n${err.stack}` : ''}`
+  stream.write(`${line}\n`)
+}
+
+export class Logger {
+  constructor(context = {}, { sampleRate = 1 } = {}) {
+    this.context = context
+    this.sampleRate = sampleRate
+  }
+
+  /** A logger whose entries also carry `context` */
+  child(context) {
+    return new Logger({ ...this.context, ...context }, { sampleRate: this.sampleRate })
+  }
+
+  /** A logger keeping only a `rate` fraction of entries, for high-frequency events */
+  sampled(rate = config.logSampleRate) {
+    return new Logger(this.context, { sampleRate: rate })
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= threshold
+  }
+
+  /**
+   * @param {'debug'|'info'|'warn'|'error'} level
+   * @param {string} msg
+   * @param {object|Error} [fields] - an Error is logged as `err`
+   */
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return
+    if (this.sampleRate < 1 && Math.random() >= this.sampleRate) return
+    const extra = fields instanceof Error ? { err: fields } : fields
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact({ ...this.context, ...extra }),
+    }
+    if (this.sampleRate < 1) entry.sampleRate = this.sampleRate
+    // Drop unset context fields such as a room before join
+    for (const key of Object.keys(entry)) if (entry[key] === undefined || entry[key] === null) delete entry[key]
+    write(level, entry)
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields) }
+
+  info(msg, fields) { this.log('info', msg, fields) }
+
+  warn(msg, fields) { this.log('warn', msg, fields) }
+
+  error(msg, fields) { this.log('error', msg, fields) }
+}
+
+export const logger = new Logger()
+
+/** Logger for a socket, carrying its id, user and current room */
+export const socketLogger = (socket, context = {}) => logger.child({
+  socketId: socket.id,
+  userId: socket.data?.user?.id,
+  room: socket.data?.room,
+  ...context,
+})
+
+export default logger
@@ -0,0 +1,92 @@
+import crypto from 'crypto'
+import { config } from '../config/app.config.js'
+import { getRedisClient } from '../config/redis.config.js'
+
+// Backend -> realtime calls are signed with a shared secret:
+//   X-RiverFlow-Timestamp: <unix ms>
+//   X-RiverFlow-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${rawBody}`>
+// A signature is accepted once, and only within the replay window.
+
+export const TIMESTAMP_HEADER = 'x-riverflow-timestamp'
+export const SIGNATURE_HEADER = 'x-riverflow-signature'
+
+const seenSignatures = new Map() // signature -> expiresAt, used when Redis is off
+
+/** `verify` hook for express.json() so the exact bytes that were signed are kept */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf
+}
+
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody || '').digest('hex')
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(a)
+  const bb = Buffer.from(b)
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb)
+}
+
+// True the first time a signature is seen within the window
+async function claimSignature(signature, windowMs) {
+  const redis = getRedisClient()
+  if (redis) {
+    const res = await redis.set(`riverflow:internal:sig:${signature}`, '1', 'PX', windowMs * 2, 'NX')
+    return res === 'OK'
+  }
+  const now = Date.now()
+  for (const [sig, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(sig)
+  }
+  if (seenSignatures.has(signature)) return false
+  seenSignatures.set(signature, now + windowMs * 2)
+  return true
+}
+
+export function requireInternalSignature(req, res, next) {
+  const reject = (error) => {
+    req.log?.warn('internal-auth: rejected', { reason: error })
+    res.status(401).json({ ok: false, error })
+  }
+
+  const secret = config.internalApiSecret
+  if (!secret) return reject('internal auth not configured')
+
+  const timestamp = req.get(TIMESTAMP_HEADER)
+  const header = req.get(SIGNATURE_HEADER)
+  if (!timestamp || !header) return reject('missing signature')
+
+  const ts = Number(timestamp)
+  if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > config.internalSignatureWindowMs) {
+    return reject('stale signature')
+  }
+
+  const signature = header.startsWith('sha256=') ? header.slice(7) : header
+  const expected = signPayload(secret, timestamp, req.rawBody)
+  if (!safeEqual(signature, expected)) return reject('invalid signature')
+
+  claimSignature(signature, config.internalSignatureWindowMs)
+    .then((fresh) => (fresh ? next() : reject('replayed signature')))
+    .catch((e) => res.status(500).json({ ok: false, error: String(e && e.message || e) }))
+}
+
+/** Bearer-token guard for scrape endpoints; open when no token is configured */
+export function requireMetricsToken(req, res, next) {
+  if (!config.metricsToken) return next()
+  const token = String(req.headers.authorization || '').replace(/^Bearer /, '')
+  if (!safeEqual(token, config.metricsToken)) return res.status(401).json({ ok: false, error: 'unauthorized' })
+  next()
+}
+
+/** Bearer-token guard for the admin API; closed when no token is configured */
+export function requireAdminToken(req, res, next) {
+  if (!config.adminToken) return res.status(401).json({ ok: false, error: 'admin api not configured' })
+  const token = String(req.headers.authorization || '').replace(/^Bearer /, '')
+  if (!safeEqual(token, config.adminToken)) {
+    req.log?.warn('admin: rejected token')
+    return res.status(401).json({ ok: false, error: 'unauthorized' })
+  }
+  next()
+}
+
+export default requireInternalSignature
@@ -0,0 +1,33 @@
+import crypto from 'crypto'
+import { logger } from '../logger.js'
+
+export const REQUEST_ID_HEADER = 'x-request-id'
+
+// Probes and scrapes arrive every few seconds, so they only log at debug
+const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics'])
+
+const VALID_ID = /^[\w.:-]{1,128}$/
+
+/**
+ * Gives every request an id, reusing a well-formed X-Request-Id from the
+ * caller so the backend and this server log the same id, and a `req.log`
+ * carrying it. Each request is logged once it completes.
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER)
+  const requestId = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID()
+  const startedAt = process.hrtime.bigint()
+
+  req.id = requestId
+  req.log = logger.child({ requestId, method: req.method, path: req.path })
+  res.setHeader('X-Request-Id', requestId)
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10
+    const level = res.statusCode >= 500 ? 'error' : QUIET_PATHS.has(req.path) ? 'debug' : 'info'
+    req.log.log(level, 'http: request', { status: res.statusCode, durationMs })
+  })
+  next()
+}
+
+export default requestContext
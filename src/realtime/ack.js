@@ -0,0 +1,21 @@
+// Helpers for answering client packets with a structured result.
+// Clients that pass an ack callback get the result there; clients that do not
+// get a `realtime:error` event so rejections are never silent.
+
+export function getAck(args) {
+  const last = Array.isArray(args) && args.length > 0 ? args[args.length - 1] : null
+  return typeof last === 'function' ? last : null
+}
+
+export function rejectPacket(socket, packet, code, error, extra = {}) {
+  const event = Array.isArray(packet) ? packet[0] : null
+  const result = { ok: false, code, error, event, ...extra }
+  const ack = getAck(packet)
+  try {
+    if (ack) ack(result)
+    else socket.emit('realtime:error', result)
+  } catch { }
+  return result
+}
+
+export default { getAck, rejectPacket }
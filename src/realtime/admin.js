@@ -0,0 +1,100 @@
+// Operations behind the `/admin` routes for inspecting and managing live rooms.
+//
+// Sockets are found with fetchSockets() and acted on through the adapter, so
+// the sockets of every instance are covered. State an instance may keep for
+// itself (memory presence and history, document replicas) is read and changed
+// through server-side events that each instance answers, see runOnCluster().
+
+import { runOnCluster } from './cluster.js'
+
+const isMindmapRoom = (room) => room.startsWith('mindmap:')
+
+const describeSocket = (socket, room) => ({
+  socketId: socket.id,
+  userId: socket.data.user?.id ?? null,
+  canEdit: !!socket.data.access?.[room]?.canEdit,
+  viaShareLink: !!socket.data.access?.[room]?.shareToken,
+})
+
+/** Mindmap rooms with at least one socket, busiest first */
+export async function listRooms(nsp) {
+  const rooms = new Map()
+  for (const socket of await nsp.fetchSockets()) {
+    for (const room of socket.rooms) {
+      if (!isMindmapRoom(room)) continue
+      const entry = rooms.get(room) || { room, sockets: 0, editors: 0, users: new Set() }
+      entry.sockets += 1
+      if (socket.data.access?.[room]?.canEdit) entry.editors += 1
+      if (socket.data.user?.id != null) entry.users.add(String(socket.data.user.id))
+      rooms.set(room, entry)
+    }
+  }
+  return [...rooms.values()]
+    .map(({ users, ...entry }) => ({ ...entry, users: users.size }))
+    .sort((a, b) => b.sockets - a.sockets)
+}
+
+/** Sockets, announced participants and undo/redo depth of a room */
+export async function describeRoom(nsp, room) {
+  const [sockets, states] = await Promise.all([
+    nsp.in(room).fetchSockets(),
+    runOnCluster(nsp, 'admin:room', room),
+  ])
+  // Shared stores answer the same from every instance, so merge by identity
+  const participants = new Map()
+  const authors = new Map()
+  for (const state of states) {
+    for (const p of state?.participants || []) if (!participants.has(p.clientId)) participants.set(p.clientId, p)
+    for (const a of state?.history || []) if (!authors.has(a.author)) authors.set(a.author, a)
+  }
+  const history = [...authors.values()]
+  return {
+    room,
+    sockets: sockets.map((socket) => describeSocket(socket, room)),
+    participants: [...participants.values()],
+    history: {
+      past: history.reduce((sum, a) => sum + a.past, 0),
+      future: history.reduce((sum, a) => sum + a.future, 0),
+      authors: history,
+    },
+  }
+}
+
+/**
+ * Disconnect a socket, or every socket of a user, wherever it is connected.
+ * The client gets `admin:kicked` first so it can tell the user why.
+ * @returns {Promise<string[]>} ids of the sockets disconnected
+ */
+export async function kickSockets(nsp, { socketId = null, userId = null, room = null, reason = 'kicked' }) {
+  let sockets = socketId
+    ? await nsp.in(String(socketId)).fetchSockets()
+    : (await nsp.fetchSockets()).filter((s) => s.data.user?.id != null && String(s.data.user.id) === String(userId))
+  if (room) sockets = sockets.filter((s) => s.rooms.has(room))
+  for (const socket of sockets) {
+    socket.emit('admin:kicked', { reason })
+    socket.disconnect(true)
+  }
+  return sockets.map((s) => s.id)
+}
+
+/** Send every socket of the room the current document with `room:resync` */
+export async function resyncRoom(nsp, room) {
+  const results = await runOnCluster(nsp, 'admin:resync', room)
+  return { sockets: results.reduce((sum, r) => sum + (r?.sockets || 0), 0) }
+}
+
+/** Drop the room's undo/redo history; its editors get a fresh `history:state` */
+export async function clearRoomHistory(nsp, room) {
+  const results = await runOnCluster(nsp, 'admin:history:clear', room)
+  return { cleared: results.some((r) => r?.cleared) }
+}
+
+/** Announce maintenance to one room, or to everyone when `room` is null */
+export function broadcastMaintenance(nsp, { message, room = null, startsAt = null, durationMs = null }) {
+  const notice = { message, startsAt, durationMs, at: Date.now() }
+  if (room) nsp.to(room).emit('server:maintenance', { room, ...notice })
+  else nsp.emit('server:maintenance', notice)
+  return notice
+}
+
+export default listRooms
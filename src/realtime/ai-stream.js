@@ -0,0 +1,181 @@
+// AI streaming protocol.
+//
+// The backend pushes frames through POST /realtime/mindmap/event with an
+// `ai:stream:<type>` event and `{ streamId, ... }` data:
+//   start -> delta* / progress* / tool* -> end | error
+// Every frame gets a per-stream sequence number and is kept for a while, so a
+// client that reconnects can resume from the last sequence it received. A
+// client may cancel its stream; the backend learns about it from the response
+// to its next frame (`{ ok: false, cancelled: true }`).
+
+import { config } from '../config/app.config.js'
+import { getRedisClient } from '../config/redis.config.js'
+
+export const AI_STREAM_EVENT_PREFIX = 'ai:stream:'
+export const AI_STREAM_FRAME_TYPES = new Set(['start', 'delta', 'progress', 'tool', 'end', 'error'])
+const TERMINAL_TYPES = new Set(['end', 'error'])
+
+export const isAiStreamEvent = (event) => typeof event === 'string' && event.startsWith(AI_STREAM_EVENT_PREFIX)
+
+export class MemoryAiStreamStore {
+  constructor({ maxFrames, ttlMs }) {
+    this.maxFrames = maxFrames
+    this.ttlMs = ttlMs
+    this.streams = new Map() // streamId -> { meta, frames, expiresAt }
+  }
+
+  _sweep() {
+    const now = Date.now()
+    for (const [id, s] of this.streams) if (s.expiresAt <= now) this.streams.delete(id)
+  }
+
+  async start(streamId, meta) {
+    this._sweep()
+    this.streams.set(streamId, { meta: { ...meta, status: 'active', seq: 0 }, frames: [], expiresAt: Date.now() + this.ttlMs })
+  }
+
+  async get(streamId) {
+    this._sweep()
+    return this.streams.get(streamId)?.meta || null
+  }
+
+  /** @returns {Promise<{ frame?: object, status: string }|null>} null when the stream is unknown */
+  async append(streamId, frame) {
+    const s = this.streams.get(streamId)
+    if (!s) return null
+    if (s.meta.status !== 'active') return { status: s.meta.status }
+    s.meta.seq += 1
+    const stored = { ...frame, seq: s.meta.seq }
+    s.frames.push(stored)
+    if (s.frames.length > this.maxFrames) s.frames.shift()
+    if (TERMINAL_TYPES.has(frame.type)) s.meta.status = frame.reason === 'cancelled' ? 'cancelled' : 'ended'
+    s.expiresAt = Date.now() + this.ttlMs
+    return { frame: stored, status: s.meta.status }
+  }
+
+  /** @returns {Promise<Array<object>|null>} null when frames after `lastSeq` are no longer kept */
+  async framesSince(streamId, lastSeq) {
+    const s = this.streams.get(streamId)
+    if (!s) return null
+    const oldest = s.frames.length > 0 ? s.frames[0].seq : s.meta.seq + 1
+    if (lastSeq + 1 < oldest) return null
+    return s.frames.filter((f) => f.seq > lastSeq)
+  }
+}
+
+// KEYS: meta, frames  ARGV: frame JSON without its closing brace, terminal status or '', maxFrames, ttlMs
+const APPEND_SCRIPT = `
+local status = redis.call('HGET', KEYS[1], 'status')
+if not status then return { -1 } end
+if status ~= 'active' then return { 0, status } end
+local seq = redis.call('HINCRBY', KEYS[1], 'seq', 1)
+local frame = ARGV[1] .. ',"seq":' .. seq .. '}'
+redis.call('RPUSH', KEYS[2], frame)
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[3]), -1)
+if ARGV[2] ~= '' then
+  redis.call('HSET', KEYS[1], 'status', ARGV[2])
+  status = ARGV[2]
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+redis.call('PEXPIRE', KEYS[2], ARGV[4])
+return { 1, status, frame }
+`
+
+export class RedisAiStreamStore {
+  constructor({ redis, maxFrames, ttlMs, prefix = 'riverflow:ai:stream' }) {
+    this.redis = redis
+    this.maxFrames = maxFrames
+    this.ttlMs = ttlMs
+    this.prefix = prefix
+    if (!redis.aiStreamAppend) {
+      redis.defineCommand('aiStreamAppend', { numberOfKeys: 2, lua: APPEND_SCRIPT })
+    }
+  }
+
+  _keys(streamId) {
+    return { meta: `${this.prefix}:${streamId}`, frames: `${this.prefix}:${streamId}:frames` }
+  }
+
+  async start(streamId, meta) {
+    const k = this._keys(streamId)
+    await this.redis.multi()
+      .del(k.meta, k.frames)
+      .hset(k.meta, { room: meta.room, userId: meta.userId ?? '', status: 'active', seq: 0, startedAt: meta.startedAt })
+      .pexpire(k.meta, this.ttlMs)
+      .exec()
+  }
+
+  async get(streamId) {
+    const meta = await this.redis.hgetall(this._keys(streamId).meta)
+    if (!meta || !meta.status) return null
+    return { ...meta, userId: meta.userId || null, seq: Number(meta.seq), startedAt: Number(meta.startedAt) }
+  }
+
+  async append(streamId, frame) {
+    const k = this._keys(streamId)
+    const terminal = TERMINAL_TYPES.has(frame.type) ? (frame.reason === 'cancelled' ? 'cancelled' : 'ended') : ''
+    const head = JSON.stringify(frame).slice(0, -1)
+    const [code, status, raw] = await this.redis.aiStreamAppend(k.meta, k.frames, head, terminal, this.maxFrames, this.ttlMs)
+    if (code === -1) return null
+    if (code === 0) return { status }
+    return { frame: JSON.parse(raw), status }
+  }
+
+  async framesSince(streamId, lastSeq) {
+    const k = this._keys(streamId)
+    const [[, seq], [, raw]] = await this.redis.multi().hget(k.meta, 'seq').lrange(k.frames, 0, -1).exec()
+    if (seq == null) return null
+    const frames = raw.map((f) => JSON.parse(f))
+    const oldest = frames.length > 0 ? frames[0].seq : Number(seq) + 1
+    if (lastSeq + 1 < oldest) return null
+    return frames.filter((f) => f.seq > lastSeq)
+  }
+}
+
+let store = null
+
+export function getAiStreamStore() {
+  if (store) return store
+  const options = { maxFrames: config.aiStreamMaxFrames, ttlMs: config.aiStreamTtlMs }
+  const redis = getRedisClient()
+  store = redis ? new RedisAiStreamStore({ redis, ...options }) : new MemoryAiStreamStore(options)
+  return store
+}
+
+/**
+ * Relay one backend frame to the stream's room.
+ * @returns {Promise<{ status: number, body: object }>} HTTP response for the backend
+ */
+export async function relayAiStreamFrame(nsp, room, event, data) {
+  const type = event.slice(AI_STREAM_EVENT_PREFIX.length)
+  const streamId = data?.streamId != null ? String(data.streamId) : null
+  if (!AI_STREAM_FRAME_TYPES.has(type)) return { status: 400, body: { ok: false, error: `unknown ai stream frame '${type}'` } }
+  if (!streamId) return { status: 400, body: { ok: false, error: 'missing streamId' } }
+
+  const streams = getAiStreamStore()
+  if (type === 'start') {
+    const userId = room.startsWith('user:') ? room.slice(5) : null
+    await streams.start(streamId, { room, userId, startedAt: Date.now() })
+  }
+
+  const result = await streams.append(streamId, { ...data, streamId, type, at: Date.now() })
+  if (!result) return { status: 409, body: { ok: false, error: 'unknown stream', streamId } }
+  if (!result.frame) {
+    return { status: 409, body: { ok: false, error: `stream ${result.status}`, streamId, cancelled: result.status === 'cancelled' } }
+  }
+
+  nsp.to(room).emit(event, result.frame)
+  return { status: 200, body: { ok: true, streamId, seq: result.frame.seq } }
+}
+
+/** Client-initiated cancel: appends a terminal frame so resuming clients see it too */
+export async function cancelAiStream(nsp, streamId) {
+  const streams = getAiStreamStore()
+  const meta = await streams.get(streamId)
+  if (!meta) return null
+  const result = await streams.append(streamId, { streamId, type: 'end', reason: 'cancelled', at: Date.now() })
+  if (result?.frame) nsp.to(meta.room).emit(`${AI_STREAM_EVENT_PREFIX}end`, result.frame)
+  return result
+}
+
+export default relayAiStreamFrame
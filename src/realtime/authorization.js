@@ -0,0 +1,116 @@
+import { rejectPacket } from './ack.js'
+import { socketLogger } from '../logger.js'
+
+// Events that are not bound to a room the socket already joined.
+// AI stream events check stream ownership in their handlers.
+const ROOMLESS_EVENTS = new Set([
+  'mindmap:join',
+  'ai:stream:cancel',
+  'ai:stream:resume',
+])
+
+// Events read-only viewers may send: presence, cursor, chat, comments and document reads.
+// The backend decides who may comment when it stores the thread.
+const VIEWER_EVENTS = new Set([
+  'mindmap:doc:sync',
+  'room:replay',
+  'cursor:move',
+  'presence:announce',
+  'presence:active',
+  'presence:clear',
+  'chat:message',
+  'chat:history',
+  'chat:edit',
+  'chat:delete',
+  'chat:react',
+  'chat:typing',
+  'comment:list',
+  'comment:create',
+  'comment:reply',
+  'comment:resolve',
+  'comment:reopen',
+])
+
+// Events that change the document or room state and require edit permission
+const EDITOR_EVENTS = new Set([
+  'mindmap:nodes:change',
+  'mindmap:edges:change',
+  'mindmap:connect',
+  'mindmap:viewport',
+  'mindmap:nodes:update',
+  'mindmap:edges:update',
+  'mindmap:snapshot',
+  'history:restore',
+  'undo:request',
+  'redo:request',
+  'undo:performed',
+  'redo:performed',
+  'autosave:toggle',
+  'lock:acquire',
+  'lock:release',
+])
+
+// Record the permission a socket was granted for a room, with what the join
+// learnt about it (`mindmapId`, the `shareToken` it came through); a later
+// permission change keeps those.
+// Kept as a plain object on socket.data so it survives fetchSockets() across the cluster.
+export function grantRoomAccess(socket, room, { canEdit = false, ...details } = {}) {
+  const access = socket.data.access || {}
+  access[room] = { ...access[room], ...details, canEdit: !!canEdit }
+  socket.data.access = access
+}
+
+/** What the socket was granted in `room`, or null; socket.data.room is only its latest join */
+export function roomAccess(socket, room) {
+  return (room && socket.data.access?.[room]) || null
+}
+
+export function revokeRoomAccess(socket, room) {
+  if (!socket.data.access) return
+  delete socket.data.access[room]
+}
+
+export function canEditRoom(socket, room) {
+  return !!socket.data.access?.[room]?.canEdit
+}
+
+// Handlers take the room as the first argument and fall back to socket.data.room
+export function resolvePacketRoom(socket, packet) {
+  const arg = packet[1]
+  if (typeof arg === 'string' && arg) return arg
+  if (arg == null || typeof arg === 'function') return socket.data.room || null
+  return null
+}
+
+/**
+ * Per-socket middleware that checks every inbound event against the rooms the
+ * socket actually joined and the permission it was granted in that room.
+ * Rejected packets are answered with a structured error and never reach the handler.
+ */
+export function authorizeEvent(socket) {
+  return (packet, next) => {
+    const event = packet[0]
+    if (ROOMLESS_EVENTS.has(event)) return next()
+
+    const isViewerEvent = VIEWER_EVENTS.has(event)
+    if (!isViewerEvent && !EDITOR_EVENTS.has(event)) {
+      socketLogger(socket, { event }).warn('authz: unknown event')
+      return rejectPacket(socket, packet, 'unknown_event', 'Unknown event')
+    }
+
+    const room = resolvePacketRoom(socket, packet)
+    if (!room || room === socket.id || !socket.rooms.has(room) || !socket.data.access?.[room]) {
+      socketLogger(socket, { event, room }).warn('authz: not in room')
+      return rejectPacket(socket, packet, 'not_in_room', 'Socket has not joined this room', { room })
+    }
+
+    if (!isViewerEvent && !canEditRoom(socket, room)) {
+      socketLogger(socket, { event, room }).warn('authz: read-only')
+      return rejectPacket(socket, packet, 'forbidden', 'Edit permission required', { room })
+    }
+
+    next()
+  }
+}
+
+export default authorizeEvent
@@ -0,0 +1,133 @@
+// Server-side autosave of room documents.
+//
+// The autosave mode is room state, shared through Redis when enabled, so late
+// joiners learn it and every instance honours it. While it is on, changes a
+// client makes schedule a save of the room's merged document: saves are
+// debounced by `debounceMs`, but a room edited without pause is still saved
+// every `maxWaitMs`. Each instance saves the changes its own clients made,
+// with the credentials of the latest of them, and flushes what is pending
+// when its last socket of the room leaves. Share link sessions schedule no
+// saves, since the backend takes no writes through a link.
+
+import { backendRequest } from './backend-client.js'
+import { logger } from '../logger.js'
+
+const DEFAULT_MODE = { enabled: false, userId: null, at: null }
+
+export class MemoryAutosaveStore {
+  constructor() {
+    this.modes = new Map() // room -> { enabled, userId, at }
+  }
+
+  async get(room) {
+    return this.modes.get(room) || DEFAULT_MODE
+  }
+
+  async set(room, mode) {
+    this.modes.set(room, mode)
+  }
+}
+
+export class RedisAutosaveStore {
+  constructor({ redis, ttlMs, prefix = 'riverflow:autosave' }) {
+    this.redis = redis
+    this.ttlMs = ttlMs
+    this.prefix = prefix
+  }
+
+  _key(room) {
+    return `${this.prefix}:${room}`
+  }
+
+  async get(room) {
+    const raw = await this.redis.get(this._key(room))
+    return raw ? JSON.parse(raw) : DEFAULT_MODE
+  }
+
+  async set(room, mode) {
+    await this.redis.set(this._key(room), JSON.stringify(mode), 'PX', this.ttlMs)
+  }
+}
+
+export function createAutosaveStore({ redis = null, ttlMs = 30 * 24 * 60 * 60 * 1000 } = {}) {
+  if (redis) return new RedisAutosaveStore({ redis, ttlMs })
+  return new MemoryAutosaveStore()
+}
+
+/** Write a room's document to the backend, as the editor whose token is given */
+export function saveMindmap(mindmapId, snapshot, { token = null } = {}) {
+  const { nodes, edges, viewport } = snapshot
+  // A room without a viewport must not clear the one the backend has
+  const body = viewport == null ? { nodes, edges } : { nodes, edges, viewport }
+  return backendRequest('PUT', `/mindmaps/${encodeURIComponent(mindmapId)}`, { token, body })
+}
+
+/**
+ * Debounced saving per room.
+ * @param {object} options
+ * @param {(room: string) => Promise<{ enabled: boolean }>} options.getMode
+ * @param {(room: string) => object|null} options.snapshotOf - the room's current document, if this instance has one
+ * @param {(room: string, snapshot: object, credentials: object) => Promise<void>} options.save
+ * @param {(room: string, status: 'saving'|'saved'|'error', details?: object) => void} [options.onStatus]
+ * @returns {{ schedule: Function, flush: (room: string) => Promise<void>, flushAll: () => Promise<void>, cancel: (room: string) => void }}
+ */
+export function createAutosaver({ getMode, snapshotOf, save, onStatus = () => { }, debounceMs, maxWaitMs }) {
+  const pending = new Map() // room -> { timer, firstAt, credentials }
+  const saving = new Map() // room -> promise of the save in flight
+
+  const run = async (room) => {
+    const entry = pending.get(room)
+    if (!entry) return
+    // Kept in case the document is dropped while an earlier save finishes
+    const early = snapshotOf(room)
+    // One save per room at a time; the next one picks up later changes
+    if (saving.has(room)) await saving.get(room)
+    if (pending.get(room) !== entry) return
+    clearTimeout(entry.timer)
+    pending.delete(room)
+    const snapshot = snapshotOf(room) || early
+    if (!snapshot) return
+
+    const task = (async () => {
+      try {
+        if (!(await getMode(room)).enabled) return
+        onStatus(room, 'saving')
+        await save(room, snapshot, entry.credentials)
+        onStatus(room, 'saved', { savedAt: Date.now() })
+      } catch (e) {
+        logger.error('autosave: save failed', { room, err: e })
+        onStatus(room, 'error', { error: e?.message || 'Save failed', code: e?.status || null })
+      }
+    })()
+    saving.set(room, task)
+    try {
+      await task
+    } finally {
+      if (saving.get(room) === task) saving.delete(room)
+    }
+  }
+
+  /** Save the room once changes settle; `credentials` are the latest editor's */
+  const schedule = (room, credentials) => {
+    const now = Date.now()
+    const entry = pending.get(room) || { timer: null, firstAt: now, credentials }
+    entry.credentials = credentials
+    clearTimeout(entry.timer)
+    const delay = Math.max(0, Math.min(debounceMs, entry.firstAt + maxWaitMs - now))
+    entry.timer = setTimeout(() => run(room), delay)
+    pending.set(room, entry)
+  }
+
+  return {
+    schedule,
+    // Save now what is pending for the room, if anything
+    flush: (room) => run(room),
+    flushAll: () => Promise.all([...pending.keys()].map(run)).then(() => { }),
+    cancel: (room) => {
+      clearTimeout(pending.get(room)?.timer)
+      pending.delete(room)
+    },
+  }
+}
+
+export default createAutosaver
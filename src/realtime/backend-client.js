@@ -0,0 +1,284 @@
+// Client for the RiverFlow backend API.
+//
+// Every request has a timeout and goes through a circuit breaker: after
+// `breakerThreshold` consecutive failures (network errors, timeouts, 5xx) the
+// breaker opens and requests fail fast for `breakerCooldownMs`, then a single
+// trial request decides whether it closes again. Mindmap lookups made on join
+// are cached for a short TTL, in Redis when enabled, and invalidated when the
+// backend reports a permission change.
+
+import crypto from 'crypto'
+import { config } from '../config/app.config.js'
+import { getRedisClient } from '../config/redis.config.js'
+import { signPayload, TIMESTAMP_HEADER, SIGNATURE_HEADER } from '../middleware/internal-auth.js'
+import { logger } from '../logger.js'
+
+export class BackendError extends Error {
+  constructor(message, status, body = null) {
+    super(message)
+    this.name = 'BackendError'
+    this.status = status
+    this.body = body
+  }
+}
+
+/** The backend could not be reached: timeout, network failure or open circuit */
+export class BackendUnavailableError extends Error {
+  constructor(message, cause = null) {
+    super(message)
+    this.name = 'BackendUnavailableError'
+    this.cause = cause
+  }
+}
+
+const breaker = {
+  state: 'closed', // closed | open | half-open
+  failures: 0,
+  openedAt: 0,
+  trialInFlight: false,
+}
+
+export function getBackendStatus() {
+  return { state: breaker.state, failures: breaker.failures, openedAt: breaker.openedAt || null }
+}
+
+function admitRequest() {
+  if (breaker.state === 'closed') return true
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= config.backendBreakerCooldownMs) {
+    breaker.state = 'half-open'
+  }
+  if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+    breaker.trialInFlight = true
+    return true
+  }
+  return false
+}
+
+function recordSuccess() {
+  if (breaker.state !== 'closed') logger.info('backend: circuit closed')
+  breaker.state = 'closed'
+  breaker.failures = 0
+  breaker.trialInFlight = false
+}
+
+function recordFailure() {
+  breaker.failures += 1
+  breaker.trialInFlight = false
+  if (breaker.state === 'half-open' || breaker.failures >= config.backendBreakerThreshold) {
+    if (breaker.state !== 'open') logger.warn('backend: circuit open', { failures: breaker.failures })
+    breaker.state = 'open'
+    breaker.openedAt = Date.now()
+  }
+}
+
+/**
+ * Call the backend and parse its JSON response.
+ * @param {string} method
+ * @param {string} path - appended to `config.backendUrl`
+ * @param {object} [options]
+ * @param {string|null} [options.token] - the acting user's bearer token
+ * @param {boolean} [options.signed=false] - sign as this service with the internal API secret instead,
+ *   the same way the backend signs its calls to us
+ * @param {object} [options.body]
+ * @param {Record<string, string>} [options.headers]
+ * @param {number} [options.timeoutMs]
+ * @throws {BackendError} on a non-2xx response
+ * @throws {BackendUnavailableError} when the backend cannot be reached
+ */
+export async function backendRequest(method, path, { token = null, signed = false, body, headers = {}, timeoutMs = config.backendTimeoutMs } = {}) {
+  if (!config.backendUrl) throw new BackendUnavailableError('Backend is not configured')
+  if (signed && !config.internalApiSecret) throw new BackendUnavailableError('Internal API secret is not configured')
+  if (!admitRequest()) throw new BackendUnavailableError('Backend circuit is open')
+
+  const rawBody = body !== undefined ? JSON.stringify(body) : undefined
+  let signature = {}
+  if (signed) {
+    const timestamp = String(Date.now())
+    signature = {
+      [TIMESTAMP_HEADER]: timestamp,
+      [SIGNATURE_HEADER]: `sha256=${signPayload(config.internalApiSecret, timestamp, rawBody)}`,
+    }
+  }
+
+  let res
+  try {
+    res = await fetch(`${config.backendUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...signature,
+        ...headers,
+      },
+      ...(rawBody !== undefined ? { body: rawBody } : {}),
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+  } catch (e) {
+    recordFailure()
+    const reason = e?.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : (e?.message || String(e))
+    throw new BackendUnavailableError(`Backend ${method} ${path} ${reason}`, e)
+  }
+
+  if (res.status >= 500) recordFailure()
+  else recordSuccess()
+
+  const text = await res.text().catch(() => '')
+  let data = null
+  try {
+    data = text ? JSON.parse(text) : null
+  } catch {
+    data = text
+  }
+  if (!res.ok) throw new BackendError(typeof data === 'string' && data ? data : `Backend responded ${res.status}`, res.status, data)
+  return data
+}
+
+const PROBE_CACHE_MS = 5000
+let lastProbe = { at: 0, result: null }
+
+/**
+ * Whether the backend answers at all (any non-5xx response counts), for
+ * readiness. Cached briefly so frequent probes do not load the backend.
+ */
+export async function probeBackend() {
+  if (!config.backendUrl) return { ok: true, configured: false }
+  if (lastProbe.result && Date.now() - lastProbe.at < PROBE_CACHE_MS) return lastProbe.result
+  let result
+  try {
+    await backendRequest('GET', config.backendHealthPath, { timeoutMs: Math.min(config.backendTimeoutMs, 1500) })
+    result = { ok: true, status: 200 }
+  } catch (e) {
+    result = e instanceof BackendError
+      ? { ok: e.status < 500, status: e.status }
+      : { ok: false, error: e?.message || String(e) }
+  }
+  result.circuit = breaker.state
+  lastProbe = { at: Date.now(), result }
+  return result
+}
+
+export class MemoryBackendCache {
+  constructor() {
+    this.entries = new Map() // key -> { value, mindmapId, expiresAt }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry.value
+  }
+
+  async set(key, value, mindmapId, ttlMs) {
+    this.entries.set(key, { value, mindmapId: String(mindmapId), expiresAt: Date.now() + ttlMs })
+  }
+
+  async invalidate(mindmapId) {
+    for (const [key, entry] of this.entries) {
+      if (entry.mindmapId === String(mindmapId)) this.entries.delete(key)
+    }
+  }
+}
+
+export class RedisBackendCache {
+  constructor({ redis, prefix = 'riverflow:backend:cache' }) {
+    this.redis = redis
+    this.prefix = prefix
+  }
+
+  // Every mindmap keeps an index of its cached keys so they can be dropped together
+  _indexKey(mindmapId) {
+    return `${this.prefix}:index:${mindmapId}`
+  }
+
+  async get(key) {
+    const raw = await this.redis.get(`${this.prefix}:${key}`)
+    return raw ? JSON.parse(raw) : null
+  }
+
+  async set(key, value, mindmapId, ttlMs) {
+    await this.redis.multi()
+      .set(`${this.prefix}:${key}`, JSON.stringify(value), 'PX', ttlMs)
+      .sadd(this._indexKey(mindmapId), key)
+      .pexpire(this._indexKey(mindmapId), ttlMs * 2)
+      .exec()
+  }
+
+  async invalidate(mindmapId) {
+    const keys = await this.redis.smembers(this._indexKey(mindmapId))
+    await this.redis.del(this._indexKey(mindmapId), ...keys.map((key) => `${this.prefix}:${key}`))
+  }
+}
+
+let cache = null
+
+function getCache() {
+  if (cache) return cache
+  const redis = getRedisClient()
+  cache = redis ? new RedisBackendCache({ redis }) : new MemoryBackendCache()
+  return cache
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token || 'anonymous')).digest('hex').slice(0, 32)
+
+// Access denials are cached too, so a flood of refused joins does not reach the backend;
+// like everything cached, only when the mindmap they are for is known
+const CACHEABLE_DENIALS = new Set([401, 403, 404])
+
+async function cachedLookup(key, mindmapIdHint, load) {
+  const store = getCache()
+  try {
+    const hit = await store.get(key)
+    if (hit) return hit
+  } catch (e) {
+    logger.error('backend: cache get failed', e)
+  }
+
+  let result
+  try {
+    result = { ok: true, status: 200, data: await load() }
+  } catch (e) {
+    if (!(e instanceof BackendError) || !CACHEABLE_DENIALS.has(e.status)) throw e
+    result = { ok: false, status: e.status, data: null }
+  }
+
+  const mindmapId = result.data?.id ?? mindmapIdHint
+  if (mindmapId != null) {
+    store.set(key, result, mindmapId, config.backendCacheTtlMs).catch((e) => {
+      logger.error('backend: cache set failed', e)
+    })
+  }
+  return result
+}
+
+/**
+ * A mindmap as seen by the token's user.
+ * @returns {Promise<{ ok: boolean, status: number, data: object|null }>} ok is false when access is denied
+ * @throws {BackendUnavailableError}
+ */
+export function fetchMindmap(mindmapId, token) {
+  return cachedLookup(`mindmap:${mindmapId}:${hashToken(token)}`, mindmapId, () =>
+    backendRequest('GET', `/mindmaps/${encodeURIComponent(mindmapId)}`, { token }))
+}
+
+/** A mindmap opened through a public share link; same result shape as fetchMindmap() */
+export function fetchPublicMindmap(shareToken) {
+  // Denials are not cached: with no mindmap id to file them under, invalidateMindmap()
+  // could not clear them once the link is turned on
+  return cachedLookup(`public:${hashToken(shareToken)}`, null, () =>
+    backendRequest('GET', `/mindmaps/public/${encodeURIComponent(shareToken)}`))
+}
+
+/** Drop every cached lookup of a mindmap, e.g. after its permissions changed */
+export async function invalidateMindmap(mindmapId) {
+  try {
+    await getCache().invalidate(mindmapId)
+  } catch (e) {
+    logger.error('backend: cache invalidate failed', { mindmapId, err: e })
+  }
+}
+
+export default backendRequest
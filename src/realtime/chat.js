@@ -0,0 +1,249 @@
+// Room chat history.
+//
+// Messages are kept per room (newest `maxMessages`) and paged newest-first
+// with an id cursor. Edits, deletes and reactions replace the stored message
+// and are broadcast as `chat:updated` / `chat:deleted`. Every signed-in user
+// who announced presence in a room is remembered as a member, so `@Name`
+// mentions resolve even when that user is offline.
+
+import crypto from 'crypto'
+import { config } from '../config/app.config.js'
+import { backendRequest } from './backend-client.js'
+
+const MAX_REACTIONS_PER_MESSAGE = 50
+
+export class MemoryChatStore {
+  constructor({ maxMessages, ttlMs }) {
+    this.maxMessages = maxMessages
+    this.ttlMs = ttlMs
+    this.rooms = new Map() // room -> { messages, members: Map<userId, name>, touchedAt }
+    this._sweptAt = Date.now()
+  }
+
+  _room(room) {
+    const now = Date.now()
+    if (now - this._sweptAt > 60 * 1000) {
+      this._sweptAt = now
+      for (const [r, chat] of this.rooms) if (now - chat.touchedAt > this.ttlMs) this.rooms.delete(r)
+    }
+    let chat = this.rooms.get(room)
+    if (!chat) {
+      chat = { messages: [], members: new Map(), touchedAt: now }
+      this.rooms.set(room, chat)
+    }
+    chat.touchedAt = now
+    return chat
+  }
+
+  async add(room, message) {
+    const chat = this._room(room)
+    chat.messages.push(message)
+    if (chat.messages.length > this.maxMessages) chat.messages.shift()
+    return message
+  }
+
+  async get(room, id) {
+    return this.rooms.get(room)?.messages.find((m) => m.id === id) || null
+  }
+
+  /** Replace a message with `mutate(message)`; returns the new message, or null when unknown */
+  async update(room, id, mutate) {
+    const messages = this.rooms.get(room)?.messages || []
+    const index = messages.findIndex((m) => m.id === id)
+    if (index < 0) return null
+    const next = mutate(messages[index])
+    if (next) messages[index] = next
+    return next
+  }
+
+  /** @returns {Promise<{ messages: Array<object>, hasMore: boolean }>} oldest first */
+  async page(room, { before = null, limit }) {
+    const messages = this.rooms.get(room)?.messages || []
+    let end = messages.length
+    if (before) {
+      end = messages.findIndex((m) => m.id === before)
+      if (end < 0) return { messages: [], hasMore: false }
+    }
+    const start = Math.max(0, end - limit)
+    return { messages: messages.slice(start, end), hasMore: start > 0 }
+  }
+
+  async addMember(room, userId, name) {
+    this._room(room).members.set(String(userId), name)
+  }
+
+  async members(room) {
+    const members = this.rooms.get(room)?.members || new Map()
+    return [...members].map(([userId, name]) => ({ userId, name }))
+  }
+}
+
+// KEYS: ids, messages  ARGV: id, score, message JSON, maxMessages, ttlMs
+const ADD_SCRIPT = `
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+local overflow = redis.call('ZCARD', KEYS[1]) - tonumber(ARGV[4])
+if overflow > 0 then
+  local dropped = redis.call('ZRANGE', KEYS[1], 0, overflow - 1)
+  redis.call('ZREMRANGEBYRANK', KEYS[1], 0, overflow - 1)
+  redis.call('HDEL', KEYS[2], unpack(dropped))
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+redis.call('PEXPIRE', KEYS[2], ARGV[5])
+return 1
+`
+
+// KEYS: messages  ARGV: id, expected JSON, new JSON
+// Returns 0 when the message is gone, -1 when it changed since it was read.
+const REPLACE_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then return 0 end
+if current ~= ARGV[2] then return -1 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`
+
+const MAX_UPDATE_ATTEMPTS = 5
+
+export class RedisChatStore {
+  constructor({ redis, maxMessages, ttlMs, prefix = 'riverflow:chat' }) {
+    this.redis = redis
+    this.maxMessages = maxMessages
+    this.ttlMs = ttlMs
+    this.prefix = prefix
+    if (!redis.chatAdd) {
+      redis.defineCommand('chatAdd', { numberOfKeys: 2, lua: ADD_SCRIPT })
+      redis.defineCommand('chatReplace', { numberOfKeys: 1, lua: REPLACE_SCRIPT })
+    }
+  }
+
+  _keys(room) {
+    const base = `${this.prefix}:${room}`
+    return { ids: `${base}:ids`, messages: `${base}:messages`, members: `${base}:members` }
+  }
+
+  async add(room, message) {
+    const k = this._keys(room)
+    await this.redis.chatAdd(k.ids, k.messages, message.id, Date.parse(message.createdAt), JSON.stringify(message), this.maxMessages, this.ttlMs)
+    return message
+  }
+
+  async get(room, id) {
+    const raw = await this.redis.hget(this._keys(room).messages, id)
+    return raw ? JSON.parse(raw) : null
+  }
+
+  async update(room, id, mutate) {
+    const k = this._keys(room)
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const raw = await this.redis.hget(k.messages, id)
+      if (!raw) return null
+      const next = mutate(JSON.parse(raw))
+      if (!next) return null
+      const result = await this.redis.chatReplace(k.messages, id, raw, JSON.stringify(next))
+      if (result === 0) return null
+      if (result === 1) return next
+    }
+    throw new Error('Message is changing too fast, try again')
+  }
+
+  async page(room, { before = null, limit }) {
+    const k = this._keys(room)
+    let start = 0
+    if (before) {
+      const rank = await this.redis.zrevrank(k.ids, before)
+      if (rank == null) return { messages: [], hasMore: false }
+      start = rank + 1
+    }
+    // One extra id tells whether an older page exists
+    const ids = await this.redis.zrevrange(k.ids, start, start + limit)
+    const hasMore = ids.length > limit
+    const pageIds = ids.slice(0, limit)
+    if (pageIds.length === 0) return { messages: [], hasMore: false }
+    const raws = await this.redis.hmget(k.messages, ...pageIds)
+    const messages = raws.filter(Boolean).map((raw) => JSON.parse(raw)).reverse()
+    return { messages, hasMore }
+  }
+
+  async addMember(room, userId, name) {
+    const k = this._keys(room)
+    await this.redis.multi().hset(k.members, String(userId), name).pexpire(k.members, this.ttlMs).exec()
+  }
+
+  async members(room) {
+    const hash = await this.redis.hgetall(this._keys(room).members)
+    return Object.entries(hash || {}).map(([userId, name]) => ({ userId, name }))
+  }
+}
+
+export function createChatStore({ redis = null, maxMessages = 1000, ttlMs = 30 * 24 * 60 * 60 * 1000 } = {}) {
+  if (redis) return new RedisChatStore({ redis, maxMessages, ttlMs })
+  return new MemoryChatStore({ maxMessages, ttlMs })
+}
+
+export const newMessageId = () => crypto.randomUUID()
+
+/**
+ * Members mentioned as `@Name` in `text`. Longer names win, so `@Ann Lee`
+ * is not also read as `@Ann`.
+ * @returns {Array<{ userId: string, name: string }>}
+ */
+export function resolveMentions(text, members) {
+  const lower = String(text).toLowerCase()
+  const found = new Map()
+  const taken = []
+  const byLength = members.filter((m) => m.name).sort((a, b) => b.name.length - a.name.length)
+  for (const member of byLength) {
+    const needle = `@${member.name.toLowerCase()}`
+    let from = 0
+    let index
+    while ((index = lower.indexOf(needle, from)) >= 0) {
+      from = index + needle.length
+      const end = index + needle.length
+      if (/[\p{L}\p{N}_]/u.test(lower[end] || '')) continue
+      if (taken.some(([s, e]) => index < e && end > s)) continue
+      taken.push([index, end])
+      found.set(member.userId, { userId: member.userId, name: member.name })
+    }
+  }
+  return [...found.values()]
+}
+
+/** Toggle `key`'s `emoji` reaction on a message */
+export function toggleReaction(message, emoji, key) {
+  const reactions = { ...(message.reactions || {}) }
+  const users = reactions[emoji] || []
+  if (users.includes(key)) {
+    const rest = users.filter((u) => u !== key)
+    if (rest.length > 0) reactions[emoji] = rest
+    else delete reactions[emoji]
+  } else {
+    if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) return null
+    reactions[emoji] = [...users, key]
+  }
+  return { ...message, reactions }
+}
+
+/**
+ * Tell the backend about users mentioned while offline, so it can notify them:
+ * `POST /mindmaps/:id/chat/mentions` with `{ userIds, messageId, authorId,
+ * authorName, excerpt, createdAt }`, sent with the author's token like history
+ * logging. Only used when `CHAT_MENTION_NOTIFY` is on, for backends that
+ * serve it.
+ */
+export async function notifyOfflineMentions({ mindmapId, message, userIds, token }) {
+  if (!config.backendUrl || !mindmapId || userIds.length === 0) return
+  await backendRequest('POST', `/mindmaps/${encodeURIComponent(mindmapId)}/chat/mentions`, {
+    token,
+    body: {
+      userIds,
+      messageId: message.id,
+      authorId: message.userId,
+      authorName: message.name,
+      excerpt: message.message.slice(0, 200),
+      createdAt: message.createdAt,
+    },
+  })
+}
+
+export default createChatStore
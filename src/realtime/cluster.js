@@ -0,0 +1,29 @@
+import { RedisAdapter } from '@socket.io/redis-adapter'
+import { logger } from '../logger.js'
+
+// True when the namespace shares rooms and server-side events with other instances
+export function isClustered(nsp) {
+  return nsp.adapter instanceof RedisAdapter
+}
+
+/**
+ * Run a server-side event on this instance and on every other instance of the cluster.
+ * Listeners are registered with `nsp.on(event, (payload, cb) => cb(result))`.
+ * @returns {Promise<Array<any>>} one result per instance that answered
+ */
+export async function runOnCluster(nsp, event, payload, { timeoutMs = 2000 } = {}) {
+  const local = await Promise.all(
+    nsp.listeners(event).map((listener) => new Promise((resolve) => listener(payload, resolve))),
+  )
+  let remote = []
+  if (isClustered(nsp)) {
+    try {
+      remote = await nsp.timeout(timeoutMs).serverSideEmitWithAck(event, payload)
+    } catch (e) {
+      logger.warn('cluster: not acknowledged by every instance', { event, err: e })
+    }
+  }
+  return [...local, ...remote]
+}
+
+export default runOnCluster
@@ -0,0 +1,58 @@
+// Comment threads anchored to a node or edge.
+//
+// Threads live in the backend; these helpers call its REST API through the
+// backend client with the acting user's token, so the backend decides who may
+// comment. A thread is
+// { id, anchor: { kind, id }, status: 'open'|'resolved', orphaned, replies, ... }.
+// Threads whose anchor node is deleted are marked orphaned rather than removed.
+
+import { backendRequest } from './backend-client.js'
+
+export const ANCHOR_KINDS = ['node', 'edge']
+export const THREAD_STATUSES = ['open', 'resolved']
+
+const threadsPath = (mindmapId) => `/mindmaps/${encodeURIComponent(mindmapId)}/comments`
+
+// The backend may wrap results as { data } or { thread } / { threads }
+const unwrap = (body, key) => body?.[key] ?? body?.data ?? body
+
+export async function listThreads(mindmapId, token) {
+  const threads = unwrap(await backendRequest('GET', threadsPath(mindmapId), { token }), 'threads')
+  return Array.isArray(threads) ? threads : []
+}
+
+export async function createThread(mindmapId, token, { anchor, text }) {
+  return unwrap(await backendRequest('POST', threadsPath(mindmapId), { token, body: { anchor, text } }), 'thread')
+}
+
+/** @returns {Promise<object>} the updated thread */
+export async function addReply(mindmapId, token, threadId, text) {
+  const path = `${threadsPath(mindmapId)}/${encodeURIComponent(threadId)}/replies`
+  return unwrap(await backendRequest('POST', path, { token, body: { text } }), 'thread')
+}
+
+/** Patch `status` and/or `orphaned`; returns the updated thread */
+export async function updateThread(mindmapId, token, threadId, changes) {
+  const path = `${threadsPath(mindmapId)}/${encodeURIComponent(threadId)}`
+  return unwrap(await backendRequest('PATCH', path, { token, body: changes }), 'thread')
+}
+
+/**
+ * Mark the threads anchored to any of `nodeIds` as orphaned.
+ * @returns {Promise<Array<object>>} the threads that changed
+ */
+export async function orphanNodeThreads(mindmapId, token, nodeIds) {
+  const ids = new Set(nodeIds.map(String))
+  const threads = await listThreads(mindmapId, token)
+  const affected = threads.filter((t) => t.anchor?.kind === 'node' && ids.has(String(t.anchor.id)) && !t.orphaned)
+  const results = await Promise.allSettled(affected.map((t) => updateThread(mindmapId, token, t.id, { orphaned: true })))
+  return results.filter((r) => r.status === 'fulfilled').map((r) => r.value)
+}
+
+/** Node ids removed by a React Flow change list */
+export function removedNodeIds(changes) {
+  if (!Array.isArray(changes)) return []
+  return changes.filter((ch) => ch && ch.type === 'remove' && ch.id).map((ch) => ch.id)
+}
+
+export default listThreads
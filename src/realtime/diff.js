@@ -0,0 +1,120 @@
+// Structural diffs between two mindmap snapshots.
+//
+// A diff is a list of operations on nodes and edges:
+//   { kind, op: 'add', item }               element appeared
+//   { kind, op: 'remove', item }            element disappeared (full item kept so it can be restored)
+//   { kind, op: 'patch', id, from, to }     changed fields, flattened like the document ('data.label')
+// A field that does not exist on one side is recorded as null.
+
+import { flattenItem } from './document.js'
+
+const KINDS = [['node', 'nodes'], ['edge', 'edges']]
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+function indexById(items) {
+  const map = new Map()
+  for (const item of Array.isArray(items) ? items : []) {
+    if (item && item.id != null) map.set(String(item.id), item)
+  }
+  return map
+}
+
+export function diffSnapshots(before, after) {
+  const ops = []
+  for (const [kind, key] of KINDS) {
+    const prev = indexById(before?.[key])
+    const next = indexById(after?.[key])
+    for (const [id, item] of prev) {
+      if (!next.has(id)) ops.push({ kind, op: 'remove', item })
+    }
+    for (const [id, item] of next) {
+      const old = prev.get(id)
+      if (!old) {
+        ops.push({ kind, op: 'add', item })
+        continue
+      }
+      const a = flattenItem(old)
+      const b = flattenItem(item)
+      const from = {}
+      const to = {}
+      for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (same(a[path], b[path])) continue
+        from[path] = a[path] ?? null
+        to[path] = b[path] ?? null
+      }
+      if (Object.keys(to).length > 0) ops.push({ kind, op: 'patch', id, from, to })
+    }
+  }
+  return ops
+}
+
+export function invertDiff(ops) {
+  return (ops || []).slice().reverse().map((op) => {
+    if (op.op === 'add') return { kind: op.kind, op: 'remove', item: op.item }
+    if (op.op === 'remove') return { kind: op.kind, op: 'add', item: op.item }
+    return { kind: op.kind, op: 'patch', id: op.id, from: op.to, to: op.from }
+  })
+}
+
+function setPath(item, path, value) {
+  if (path.startsWith('data.')) {
+    const key = path.slice(5)
+    item.data = { ...(item.data || {}) }
+    if (value === null) delete item.data[key]
+    else item.data[key] = value
+  } else if (value === null) {
+    delete item[path]
+  } else {
+    item[path] = value
+  }
+}
+
+/** Apply a diff on top of a snapshot, touching only the fields the diff names */
+export function applyDiff(snapshot, ops) {
+  const result = {
+    nodes: Array.isArray(snapshot?.nodes) ? snapshot.nodes.slice() : [],
+    edges: Array.isArray(snapshot?.edges) ? snapshot.edges.slice() : [],
+    viewport: snapshot?.viewport ?? null,
+  }
+  for (const op of ops || []) {
+    const key = op.kind === 'edge' ? 'edges' : 'nodes'
+    const list = result[key]
+    const id = String(op.op === 'patch' ? op.id : op.item?.id)
+    const index = list.findIndex((item) => item && String(item.id) === id)
+    if (op.op === 'add') {
+      if (index >= 0) list[index] = op.item
+      else list.push(op.item)
+    } else if (op.op === 'remove') {
+      if (index >= 0) list.splice(index, 1)
+    } else if (op.op === 'patch' && index >= 0) {
+      const item = { ...list[index] }
+      for (const [path, value] of Object.entries(op.to || {})) setPath(item, path, value)
+      list[index] = item
+    }
+  }
+  return result
+}
+
+/**
+ * Translate a diff into stamped operations for the room's authoritative document.
+ * Fields a patch records as null (absent on that side) are left out: the
+ * document has no way to unset a field, and null would overwrite the value.
+ */
+export function diffToDocumentOps(ops, doc, actor) {
+  const result = []
+  for (const op of ops || []) {
+    if (op.op === 'add') {
+      result.push({ kind: op.kind, op: 'add', id: String(op.item.id), fields: flattenItem(op.item), stamp: doc.tick(actor) })
+    } else if (op.op === 'remove') {
+      result.push({ kind: op.kind, op: 'remove', id: String(op.item.id), stamp: doc.tick(actor) })
+    } else if (op.op === 'patch') {
+      const fields = Object.fromEntries(Object.entries(op.to || {}).filter(([, value]) => value !== null))
+      if (Object.keys(fields).length === 0) continue
+      result.push({ kind: op.kind, op: 'set', id: String(op.id), fields, stamp: doc.tick(actor) })
+    }
+  }
+  return result
+}
+
+export default diffSnapshots
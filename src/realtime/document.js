@@ -0,0 +1,351 @@
+// Server-authoritative mindmap document.
+//
+// The document is a state-based CRDT: every node and edge is an element whose
+// fields are last-writer-wins registers, and whose existence is decided by its
+// latest add/remove stamp. A stamp is a Lamport clock plus an actor id, so any
+// two replicas that have seen the same operations end up with the same state,
+// regardless of the order they were applied in.
+//
+// Clients do not stamp their edits: the instance that receives an edit stamps
+// it on arrival with its replica's clock and the sender's socket id. Ordering
+// between concurrent edits of a field is therefore decided by the server, and
+// the edit that reached it last wins; replicas that exchange the stamped ops
+// still converge on the same winner.
+//
+// Removed elements are kept as tombstones so a late, older add cannot bring
+// them back. They are let go of once a save of the document no longer has
+// them (see pruneTombstones()), and past MAX_TOMBSTONES the oldest go first.
+// Ops on elements forgotten that way are dropped.
+
+const SEED_ACTOR = 'backend'
+
+const MAX_TOMBSTONES = 5000
+
+// React Flow keeps local UI state on nodes/edges that must never be shared
+const EPHEMERAL_FIELDS = new Set(['id', 'selected', 'dragging', 'resizing'])
+
+export function compareStamps(a, b) {
+  if (!a && !b) return 0
+  if (!a) return -1
+  if (!b) return 1
+  if (a.c !== b.c) return a.c - b.c
+  if (a.a === b.a) return 0
+  return a.a < b.a ? -1 : 1
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+// { id, position, data: { label } } -> { position, 'data.label' }
+export function flattenItem(item) {
+  const fields = {}
+  if (!isPlainObject(item)) return fields
+  for (const [key, value] of Object.entries(item)) {
+    if (EPHEMERAL_FIELDS.has(key) || value === undefined) continue
+    if (key === 'data' && isPlainObject(value)) {
+      for (const [dk, dv] of Object.entries(value)) {
+        if (dv !== undefined) fields[`data.${dk}`] = dv
+      }
+    } else {
+      fields[key] = value
+    }
+  }
+  return fields
+}
+
+function unflattenFields(id, fields) {
+  const item = { id }
+  for (const [path, reg] of Object.entries(fields)) {
+    if (path.startsWith('data.')) {
+      item.data = item.data || {}
+      item.data[path.slice(5)] = reg.v
+    } else {
+      item[path] = reg.v
+    }
+  }
+  return item
+}
+
+function isVisible(el) {
+  if (!el.created) return false
+  return !el.removed || compareStamps(el.created, el.removed) > 0
+}
+
+export class MindmapDocument {
+  /**
+   * @param {object} options
+   * @param {string} options.room
+   */
+  constructor({ room }) {
+    this.room = room
+    this.nodes = new Map()
+    this.edges = new Map()
+    this.viewport = null // { v, s }
+    this.clock = 0
+    this.version = 0
+    this.seeded = false
+    this.prunedBefore = 0 // tombstones removed at or below this clock were forgotten
+    this.tombstones = 0 // removals since the last count, an upper bound
+  }
+
+  /** Next stamp for an operation authored on this replica */
+  tick(actor) {
+    this.clock += 1
+    return { c: this.clock, a: String(actor || '') }
+  }
+
+  _observe(stamp) {
+    if (stamp && stamp.c > this.clock) this.clock = stamp.c
+  }
+
+  _collection(kind) {
+    return kind === 'edge' ? this.edges : this.nodes
+  }
+
+  _element(kind, id) {
+    const col = this._collection(kind)
+    let el = col.get(id)
+    if (!el) {
+      el = { created: null, removed: null, fields: {} }
+      col.set(id, el)
+    }
+    return el
+  }
+
+  _setField(el, path, value, stamp) {
+    const reg = el.fields[path]
+    if (reg && compareStamps(stamp, reg.s) <= 0) return false
+    el.fields[path] = { v: value, s: stamp }
+    return true
+  }
+
+  /** Load the backend copy once; later merges always win over it */
+  seed(snapshot) {
+    if (this.seeded) return
+    this.seeded = true
+    const stamp = { c: 0, a: SEED_ACTOR }
+    for (const node of snapshot?.nodes || []) {
+      if (node?.id != null) this.apply([{ kind: 'node', op: 'add', id: String(node.id), fields: flattenItem(node), stamp }])
+    }
+    for (const edge of snapshot?.edges || []) {
+      if (edge?.id != null) this.apply([{ kind: 'edge', op: 'add', id: String(edge.id), fields: flattenItem(edge), stamp }])
+    }
+    if (snapshot?.viewport) this.apply([{ kind: 'viewport', op: 'set', value: snapshot.viewport, stamp }])
+    this.version = 0
+  }
+
+  /**
+   * Merge stamped operations into the document.
+   * @returns {Array<object>} the parts of the operations that actually took effect
+   */
+  apply(ops) {
+    const effective = []
+    for (const op of ops || []) {
+      if (!op || !op.stamp) continue
+      this._observe(op.stamp)
+
+      if (op.kind === 'viewport') {
+        if (this.viewport && compareStamps(op.stamp, this.viewport.s) <= 0) continue
+        this.viewport = { v: op.value, s: op.stamp }
+        effective.push(op)
+        continue
+      }
+
+      if (op.kind !== 'node' && op.kind !== 'edge') continue
+      if (op.id == null) continue
+      if (this._forgotten(op.kind, op.id, op.stamp)) continue
+      const el = this._element(op.kind, op.id)
+
+      if (op.op === 'remove') {
+        if (el.removed && compareStamps(op.stamp, el.removed) <= 0) continue
+        el.removed = op.stamp
+        this.tombstones += 1
+        effective.push(op)
+        continue
+      }
+
+      let changed = false
+      if (op.op === 'add' && (!el.created || compareStamps(op.stamp, el.created) > 0)) {
+        el.created = op.stamp
+        changed = true
+      }
+      const won = {}
+      for (const [path, value] of Object.entries(op.fields || {})) {
+        if (this._setField(el, path, value, op.stamp)) won[path] = value
+      }
+      if (changed || Object.keys(won).length > 0) {
+        effective.push({ ...op, fields: won })
+      }
+    }
+    if (effective.length > 0) this.version += 1
+    if (this.tombstones > MAX_TOMBSTONES) this._boundTombstones()
+    return effective
+  }
+
+  // An op no newer than the last pruning, on an element not known any more
+  _forgotten(kind, id, stamp) {
+    return this.prunedBefore > 0 && stamp.c <= this.prunedBefore && !this._collection(kind).has(id)
+  }
+
+  _removedStamps() {
+    const stamps = []
+    for (const col of [this.nodes, this.edges]) {
+      for (const el of col.values()) if (el.removed && !isVisible(el)) stamps.push(el.removed.c)
+    }
+    return stamps
+  }
+
+  // Keep the newest half of MAX_TOMBSTONES; an unseeded document keeps all, since seeding would bring them back
+  _boundTombstones() {
+    const stamps = this._removedStamps().sort((a, b) => a - b)
+    this.tombstones = stamps.length
+    if (stamps.length <= MAX_TOMBSTONES || !this.seeded) return
+    this.pruneTombstones(stamps[stamps.length - MAX_TOMBSTONES / 2 - 1])
+  }
+
+  /**
+   * Forget elements removed at or below `clock`, e.g. once the backend has a
+   * save taken at that clock: replicas seeded from it will not have them.
+   * @returns {number} the elements forgotten
+   */
+  pruneTombstones(clock) {
+    let pruned = 0
+    for (const col of [this.nodes, this.edges]) {
+      for (const [id, el] of col) {
+        if (!el.removed || isVisible(el) || el.removed.c > clock) continue
+        col.delete(id)
+        pruned += 1
+      }
+    }
+    if (clock > this.prunedBefore) this.prunedBefore = clock
+    this.tombstones = Math.max(0, this.tombstones - pruned)
+    return pruned
+  }
+
+  /** Plain React Flow shaped copy of the merged document */
+  toSnapshot() {
+    const nodes = []
+    const edges = []
+    for (const [id, el] of this.nodes) if (isVisible(el)) nodes.push(unflattenFields(id, el.fields))
+    for (const [id, el] of this.edges) {
+      if (!isVisible(el)) continue
+      // An edge whose endpoint was removed concurrently is dangling, not shown
+      const source = el.fields.source?.v
+      const target = el.fields.target?.v
+      if ((source != null && !this.hasNode(String(source))) || (target != null && !this.hasNode(String(target)))) continue
+      edges.push(unflattenFields(id, el.fields))
+    }
+    return { nodes, edges, viewport: this.viewport ? this.viewport.v : null }
+  }
+
+  hasNode(id) {
+    const el = this.nodes.get(id)
+    return !!el && isVisible(el)
+  }
+
+  /** Full CRDT state, used to bring another replica up to date */
+  exportState() {
+    return {
+      clock: this.clock,
+      prunedBefore: this.prunedBefore,
+      nodes: Array.from(this.nodes.entries()),
+      edges: Array.from(this.edges.entries()),
+      viewport: this.viewport,
+    }
+  }
+
+  mergeState(state) {
+    if (!state) return
+    if (state.prunedBefore > this.prunedBefore) this.prunedBefore = state.prunedBefore
+    const merge = (kind, entries) => {
+      for (const [id, remote] of entries || []) {
+        // A tombstone either replica has let go of stays forgotten
+        if (remote.removed && !isVisible(remote) && this._forgotten(kind, id, remote.removed)) continue
+        const el = this._element(kind, id)
+        if (compareStamps(remote.created, el.created) > 0) el.created = remote.created
+        if (compareStamps(remote.removed, el.removed) > 0) el.removed = remote.removed
+        for (const [path, reg] of Object.entries(remote.fields || {})) this._setField(el, path, reg.v, reg.s)
+      }
+    }
+    merge('node', state.nodes)
+    merge('edge', state.edges)
+    if (state.viewport && (!this.viewport || compareStamps(state.viewport.s, this.viewport.s) > 0)) {
+      this.viewport = state.viewport
+    }
+    if (state.clock > this.clock) this.clock = state.clock
+    this.tombstones = this._removedStamps().length
+    this.seeded = true
+    this.version += 1
+  }
+}
+
+// ===== React Flow change -> document operation translation =====
+
+export function nodeChangesToOps(changes, doc, actor) {
+  const ops = []
+  for (const ch of Array.isArray(changes) ? changes : []) {
+    if (!ch || typeof ch !== 'object') continue
+    const id = ch.id != null ? String(ch.id) : (ch.item?.id != null ? String(ch.item.id) : null)
+    if (!id) continue
+    switch (ch.type) {
+      case 'position':
+        if (ch.position && typeof ch.position.x === 'number' && typeof ch.position.y === 'number') {
+          ops.push({ kind: 'node', op: 'set', id, fields: { position: { x: ch.position.x, y: ch.position.y } }, stamp: doc.tick(actor) })
+        }
+        break
+      case 'dimensions':
+        if (ch.dimensions) {
+          ops.push({ kind: 'node', op: 'set', id, fields: { width: ch.dimensions.width, height: ch.dimensions.height }, stamp: doc.tick(actor) })
+        }
+        break
+      case 'remove':
+        ops.push({ kind: 'node', op: 'remove', id, stamp: doc.tick(actor) })
+        break
+      case 'add':
+      case 'replace':
+      case 'reset':
+        if (ch.item) ops.push({ kind: 'node', op: 'add', id, fields: flattenItem(ch.item), stamp: doc.tick(actor) })
+        break
+      default:
+        // 'select' and unknown change types are local UI state
+        break
+    }
+  }
+  return ops
+}
+
+export function edgeChangesToOps(changes, doc, actor) {
+  const ops = []
+  for (const ch of Array.isArray(changes) ? changes : []) {
+    if (!ch || typeof ch !== 'object') continue
+    const id = ch.id != null ? String(ch.id) : (ch.item?.id != null ? String(ch.item.id) : null)
+    if (!id) continue
+    if (ch.type === 'remove') {
+      ops.push({ kind: 'edge', op: 'remove', id, stamp: doc.tick(actor) })
+    } else if ((ch.type === 'add' || ch.type === 'replace' || ch.type === 'reset') && ch.item) {
+      ops.push({ kind: 'edge', op: 'add', id, fields: flattenItem(ch.item), stamp: doc.tick(actor) })
+    }
+  }
+  return ops
+}
+
+export function connectionToOps(connection, doc, actor) {
+  if (!connection || connection.source == null || connection.target == null) return []
+  const id = connection.id != null
+    ? String(connection.id)
+    : `reactflow__edge-${connection.source}${connection.sourceHandle || ''}-${connection.target}${connection.targetHandle || ''}`
+  return [{ kind: 'edge', op: 'add', id, fields: flattenItem(connection), stamp: doc.tick(actor) }]
+}
+
+export function itemUpdateToOps(kind, item, doc, actor) {
+  if (!item || item.id == null) return []
+  const fields = flattenItem(item)
+  if (Object.keys(fields).length === 0) return []
+  return [{ kind, op: 'set', id: String(item.id), fields, stamp: doc.tick(actor) }]
+}
+
+export function viewportToOps(viewport, doc, actor) {
+  if (!isPlainObject(viewport)) return []
+  return [{ kind: 'viewport', op: 'set', value: viewport, stamp: doc.tick(actor) }]
+}
+
+export default MindmapDocument
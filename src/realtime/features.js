@@ -0,0 +1,37 @@
+// Optional protocol features a client opts in to when it connects:
+//
+//   io(url, { auth: { features: ['frames'] } })
+//
+//   frames  - cursors and node drags arrive coalesced in `room:frame` batches
+//             instead of one `cursor:move` or `mindmap:nodes:change` per update
+//   doc-ops - other clients' edits arrive as the `mindmap:doc:ops` merged into
+//             the room's document, instead of the React Flow events they sent
+//             (`mindmap:nodes:change`, `mindmap:connect`, ...)
+//
+// Clients that ask for nothing keep the original events. A socket with a
+// feature also joins that feature's sub-room of every room it joins, so a
+// broadcast can target those sockets, or leave them out, on every instance.
+
+export const FEATURES = new Set(['frames', 'doc-ops'])
+
+export const featureRoom = (feature, room) => `${feature}:${room}`
+
+export function hasFeature(socket, feature) {
+  const requested = socket.handshake.auth?.features
+  return FEATURES.has(feature) && Array.isArray(requested) && requested.includes(feature)
+}
+
+/** Join `room` and the sub-rooms of the features the socket asked for */
+export function joinRoom(socket, room) {
+  socket.join(room)
+  for (const feature of FEATURES) {
+    if (hasFeature(socket, feature)) socket.join(featureRoom(feature, room))
+  }
+}
+
+export function leaveRoom(socket, room) {
+  socket.leave(room)
+  for (const feature of FEATURES) socket.leave(featureRoom(feature, room))
+}
+
+export default hasFeature
@@ -0,0 +1,55 @@
+// Readiness checks behind `GET /readyz`.
+//
+// Each dependency registers a check; the instance is ready only when every
+// check passes within its timeout. Liveness (`GET /healthz`) needs none of
+// this: a process that can answer is alive.
+
+const CHECK_TIMEOUT_MS = 2000
+
+const checks = new Map() // name -> async () => { ok, ...details }
+let draining = false
+
+/**
+ * @param {string} name
+ * @param {() => Promise<{ ok: boolean }>|{ ok: boolean }} check - may add details to its result
+ */
+export function registerReadinessCheck(name, check) {
+  checks.set(name, check)
+}
+
+async function runCheck(check) {
+  let timer
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ ok: false, error: `timed out after ${CHECK_TIMEOUT_MS}ms` }), CHECK_TIMEOUT_MS)
+  })
+  try {
+    return await Promise.race([Promise.resolve().then(check), timeout])
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/** A draining instance reports not ready so the load balancer stops sending it clients */
+export function setDraining(value = true) {
+  draining = value
+}
+
+export const isDraining = () => draining
+
+/** @returns {Promise<{ ok: boolean, draining: boolean, checks: Record<string, object> }>} */
+export async function checkReadiness() {
+  const entries = await Promise.all([...checks].map(async ([name, check]) => [name, await runCheck(check)]))
+  return { ok: !draining && entries.every(([, result]) => result.ok), draining, checks: Object.fromEntries(entries) }
+}
+
+/** A Redis connection is usable when it is ready and answers PING */
+export async function pingRedis(client) {
+  if (!client) return { ok: false, status: 'missing' }
+  if (client.status !== 'ready') return { ok: false, status: client.status }
+  await client.ping()
+  return { ok: true, status: client.status }
+}
+
+export default checkReadiness
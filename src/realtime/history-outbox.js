@@ -0,0 +1,348 @@
+// Durable outbox for backend history logging.
+//
+// `logHistory` only enqueues; a background worker claims due entries in
+// batches and posts them to `${backendUrl}/mindmaps/:id/history` with an
+// `Idempotency-Key`, so a retried delivery is never recorded twice. Entries
+// are sent with their author's token, or, with `HISTORY_SIGNED_DELIVERY` on
+// and a backend that accepts it, signed as this service on behalf of their
+// `userId`: then no user credentials are stored, and a delivery retried hours
+// later does not depend on a token that has since expired.
+// Failed deliveries back off exponentially; entries that fail permanently, or
+// too often, move to a dead-letter list. The outbox lives in Redis when
+// enabled, otherwise in an append-only file so entries survive a restart.
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { config } from '../config/app.config.js'
+import { backendRequest, BackendError } from './backend-client.js'
+import { logger } from '../logger.js'
+
+const MAX_DEAD_LETTERS = 1000
+
+export const newIdempotencyKey = () => crypto.randomUUID()
+
+/** Delay before attempt number `attempts + 1`, with jitter */
+export function backoffDelay(attempts, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1))
+  return Math.round(delay / 2 + Math.random() * (delay / 2))
+}
+
+// The file is compacted once it holds this many records and twice as many as
+// there are entries
+const COMPACT_MIN_RECORDS = 1000
+
+export class FileHistoryOutbox {
+  /**
+   * @param {object} options
+   * @param {string} options.file - log of the outbox's changes, one JSON record per line
+   * @param {number} options.leaseMs - how long a claimed entry stays invisible to other claims
+   */
+  constructor({ file, leaseMs }) {
+    this.file = file
+    this.leaseMs = leaseMs
+    this.pending = new Map() // key -> entry
+    this.dead = []
+    this.records = 0 // lines in the file
+    this._unterminated = false // the file does not end with a newline
+    this._writing = Promise.resolve()
+    this._load()
+  }
+
+  _load() {
+    let text
+    try {
+      text = fs.readFileSync(this.file, 'utf8')
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.error('outbox: could not read', { file: this.file, err: e })
+      return
+    }
+    this._unterminated = text.length > 0 && !text.endsWith('\n')
+    for (const line of text.split('\n')) {
+      if (!line) continue
+      try {
+        this._apply(JSON.parse(line))
+        this.records += 1
+      } catch {
+        // The last line may have been cut short by a crash
+        logger.warn('outbox: skipped an unreadable record', { file: this.file })
+      }
+    }
+    if (this.pending.size > 0) logger.info('outbox: restored', { pending: this.pending.size, file: this.file })
+  }
+
+  // A record is a change ({ op, entry } or { op, key }), or a compacted { pending, dead }.
+  // A compaction can include changes whose records are still to be appended,
+  // so replaying the changes after it must end in the same state.
+  _apply(record) {
+    if (record.op === 'put') {
+      this.pending.set(record.entry.key, record.entry)
+    } else if (record.op === 'delete') {
+      this.pending.delete(record.key)
+    } else if (record.op === 'dead') {
+      this.pending.delete(record.entry.key)
+      if (this.dead.some((e) => e.key === record.entry.key)) return
+      this.dead.push(record.entry)
+      if (this.dead.length > MAX_DEAD_LETTERS) this.dead.shift()
+    } else {
+      this.pending = new Map((record.pending || []).map((e) => [e.key, e]))
+      this.dead = record.dead || []
+    }
+  }
+
+  // Changes apply at once and reach the file one at a time, in order
+  _record(record) {
+    this._apply(record)
+    this._writing = this._writing.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+        // A record must not run on from a line cut short by a crash
+        await fs.promises.appendFile(this.file, `${this._unterminated ? '\n' : ''}${JSON.stringify(record)}\n`)
+        this._unterminated = false
+        this.records += 1
+        if (this.records >= Math.max(COMPACT_MIN_RECORDS, 2 * (this.pending.size + this.dead.length))) await this._compact()
+      } catch (e) {
+        logger.error('outbox: could not write', { file: this.file, err: e })
+      }
+    })
+    return this._writing
+  }
+
+  // Replace the file with one record of the current state, atomically
+  async _compact() {
+    const tmp = `${this.file}.tmp`
+    await fs.promises.writeFile(tmp, `${JSON.stringify({ pending: [...this.pending.values()], dead: this.dead })}\n`)
+    await fs.promises.rename(tmp, this.file)
+    this.records = 1
+  }
+
+  async enqueue(entry) {
+    await this._record({ op: 'put', entry: { ...entry, dueAt: Date.now() } })
+  }
+
+  /** @returns {Promise<Array<object>>} up to `limit` due entries, leased to the caller */
+  async claim(limit) {
+    const now = Date.now()
+    const due = [...this.pending.values()]
+      .filter((e) => e.dueAt <= now)
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .slice(0, limit)
+    // Leases are not written down: after a restart every entry is due again
+    for (const entry of due) entry.dueAt = now + this.leaseMs
+    return due.map((e) => ({ ...e }))
+  }
+
+  async complete(key) {
+    if (this.pending.has(key)) await this._record({ op: 'delete', key })
+  }
+
+  async retry(entry, dueAt) {
+    if (this.pending.has(entry.key)) await this._record({ op: 'put', entry: { ...entry, dueAt } })
+  }
+
+  async deadLetter(entry) {
+    if (this.pending.has(entry.key)) await this._record({ op: 'dead', entry: { ...entry, deadAt: Date.now() } })
+  }
+
+  async stats() {
+    return { pending: this.pending.size, dead: this.dead.length }
+  }
+
+  async close() {
+    await this._writing
+  }
+}
+
+// KEYS: due  ARGV: now, limit, leaseUntil
+// Due keys are pushed out to `leaseUntil` so other instances skip them meanwhile.
+const CLAIM_SCRIPT = `
+local keys = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for i = 1, #keys do
+  redis.call('ZADD', KEYS[1], ARGV[3], keys[i])
+end
+return keys
+`
+
+export class RedisHistoryOutbox {
+  constructor({ redis, leaseMs, prefix = 'riverflow:history:outbox' }) {
+    this.redis = redis
+    this.leaseMs = leaseMs
+    this.keys = { due: `${prefix}:due`, entries: `${prefix}:entries`, dead: `${prefix}:dead` }
+    if (!redis.outboxClaim) {
+      redis.defineCommand('outboxClaim', { numberOfKeys: 1, lua: CLAIM_SCRIPT })
+    }
+  }
+
+  async enqueue(entry) {
+    await this.redis.multi()
+      .hset(this.keys.entries, entry.key, JSON.stringify(entry))
+      .zadd(this.keys.due, Date.now(), entry.key)
+      .exec()
+  }
+
+  async claim(limit) {
+    const now = Date.now()
+    const keys = await this.redis.outboxClaim(this.keys.due, now, limit, now + this.leaseMs)
+    if (keys.length === 0) return []
+    const raws = await this.redis.hmget(this.keys.entries, ...keys)
+    const claimed = []
+    for (let i = 0; i < keys.length; i++) {
+      if (raws[i]) claimed.push(JSON.parse(raws[i]))
+      else await this.redis.zrem(this.keys.due, keys[i]) // completed by another instance meanwhile
+    }
+    return claimed
+  }
+
+  async complete(key) {
+    await this.redis.multi().zrem(this.keys.due, key).hdel(this.keys.entries, key).exec()
+  }
+
+  async retry(entry, dueAt) {
+    await this.redis.multi()
+      .hset(this.keys.entries, entry.key, JSON.stringify(entry))
+      .zadd(this.keys.due, 'XX', dueAt, entry.key)
+      .exec()
+  }
+
+  async deadLetter(entry) {
+    await this.redis.multi()
+      .zrem(this.keys.due, entry.key)
+      .hdel(this.keys.entries, entry.key)
+      .rpush(this.keys.dead, JSON.stringify({ ...entry, deadAt: Date.now() }))
+      .ltrim(this.keys.dead, -MAX_DEAD_LETTERS, -1)
+      .exec()
+  }
+
+  async stats() {
+    const [[, pending], [, dead]] = await this.redis.multi().zcard(this.keys.due).llen(this.keys.dead).exec()
+    return { pending, dead }
+  }
+
+  async close() { }
+}
+
+export function createHistoryOutbox({ redis = null, file, leaseMs = 60 * 1000 } = {}) {
+  if (redis) return new RedisHistoryOutbox({ redis, leaseMs })
+  return new FileHistoryOutbox({ file, leaseMs })
+}
+
+// Client errors other than timeouts and throttling will not succeed on retry.
+// A 401 to a signed delivery is a secret being rotated or not yet configured,
+// which an operator fixes; to a user's token, the token has expired.
+export const isPermanentFailure = (status, { signed = config.historySignedDelivery } = {}) =>
+  status >= 400 && status < 500 && ![408, 429, ...(signed ? [401] : [])].includes(status)
+
+// Dead letters, and entries written before deliveries were signed, keep no tokens
+const withoutCredentials = ({ token, ...entry }) => entry
+
+export async function deliver(entry) {
+  const signed = config.historySignedDelivery
+  try {
+    await backendRequest('POST', `/mindmaps/${encodeURIComponent(entry.mindmapId)}/history`, {
+      ...(signed
+        ? { signed: true, body: { ...entry.body, userId: entry.userId ?? null } }
+        : { token: entry.token || null, body: entry.body }),
+      headers: { 'Idempotency-Key': entry.key },
+    })
+    return { ok: true }
+  } catch (e) {
+    // 409: the backend already stored this idempotency key
+    if (e instanceof BackendError && e.status === 409) return { ok: true }
+    return { ok: false, status: e instanceof BackendError ? e.status : null, error: e?.message || String(e) }
+  }
+}
+
+/**
+ * Background delivery loop.
+ * @param {FileHistoryOutbox|RedisHistoryOutbox} outbox
+ * @param {object} options
+ * @param {(entry: object) => void} [options.onDelivered]
+ * @param {(entry: object) => void} [options.onRetry] - after a failed attempt that will be retried
+ * @param {(entry: object) => void} [options.onDeadLetter]
+ * @returns {{ stop: () => Promise<void>, drain: () => Promise<number>, flush: (timeoutMs: number) => Promise<void> }}
+ */
+export function startHistoryOutboxWorker(outbox, {
+  intervalMs,
+  batchSize,
+  maxAttempts,
+  baseDelayMs,
+  maxDelayMs,
+  onDelivered = () => { },
+  onRetry = () => { },
+  onDeadLetter = () => { },
+}) {
+  let running = null
+  let stopped = false
+
+  const handle = async (entry) => {
+    let result
+    try {
+      result = await deliver(entry)
+    } catch (e) {
+      result = { ok: false, status: null, error: e?.message || String(e) }
+    }
+    if (result.ok) {
+      await outbox.complete(entry.key)
+      onDelivered(entry)
+      return
+    }
+    const attempts = (entry.attempts || 0) + 1
+    const failed = { ...entry, attempts, lastError: result.error, lastStatus: result.status }
+    if (isPermanentFailure(result.status) || attempts >= maxAttempts) {
+      logger.warn('outbox: dead-letter', { key: entry.key, mindmapId: entry.mindmapId, attempts, status: result.status, error: result.error })
+      const dead = withoutCredentials(failed)
+      await outbox.deadLetter(dead)
+      onDeadLetter(dead)
+      return
+    }
+    const delay = backoffDelay(attempts, { baseDelayMs, maxDelayMs })
+    logger.info('outbox: retry', { key: entry.key, mindmapId: entry.mindmapId, attempt: attempts, delayMs: delay, status: result.status, error: result.error })
+    const retried = config.historySignedDelivery ? withoutCredentials(failed) : failed
+    await outbox.retry(retried, Date.now() + delay)
+    onRetry(retried)
+  }
+
+  // Resolves to the number of entries handled
+  const tick = async () => {
+    if (!config.backendUrl) return 0
+    const batch = await outbox.claim(batchSize)
+    // Sequential so entries of one mindmap reach the backend in order
+    for (const entry of batch) {
+      if (stopped) break
+      await handle(entry)
+    }
+    return batch.length
+  }
+
+  const run = () => {
+    if (running) return running
+    running = tick()
+      .catch((e) => {
+        logger.error('outbox: delivery loop failed', e)
+        return 0
+      })
+      .finally(() => { running = null })
+    return running
+  }
+
+  const timer = setInterval(run, intervalMs)
+
+  return {
+    // Deliver what is due right now, e.g. right after an enqueue
+    drain: run,
+    // Deliver batch after batch until nothing is due or `timeoutMs` has passed;
+    // what is left stays in the outbox for the next instance
+    flush: async (timeoutMs) => {
+      const deadline = Date.now() + timeoutMs
+      while (!stopped && Date.now() < deadline && (await run()) > 0) { }
+    },
+    stop: async () => {
+      stopped = true
+      clearInterval(timer)
+      if (running) await running
+      await outbox.close()
+    },
+  }
+}
+
+export default createHistoryOutbox
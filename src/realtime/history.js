@@ -0,0 +1,345 @@
+// Undo/redo history per room, scoped to the author of each change.
+//
+// History entries are structural diffs ({ author, changes }) on their author's
+// own stack. The room's current state is a full checkpoint snapshot plus a
+// journal of the diffs applied since; the journal is folded into a fresh
+// checkpoint every `checkpointEvery` changes. Undo pops the requesting
+// author's latest entry and applies its inverse on top of the current state,
+// so collaborators' later edits survive.
+//
+// Both stores expose the same async API so socket handlers don't care whether
+// history lives in this process or in Redis.
+
+import { diffSnapshots, invertDiff, applyDiff } from './diff.js'
+
+const newEntryId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+
+export class MemoryHistoryStore {
+  /**
+   * @param {object} options
+   * @param {number} options.maxSize - max entries kept in each author's `past`
+   * @param {number} options.idleTtlMs - rooms untouched for this long are evicted
+   * @param {number} options.checkpointEvery - journal length that triggers a new checkpoint
+   */
+  constructor({ maxSize, idleTtlMs, checkpointEvery }) {
+    this.maxSize = maxSize
+    this.idleTtlMs = idleTtlMs
+    this.checkpointEvery = checkpointEvery
+    // room -> { checkpoint, journal, current, users: Map<author, { past, future }>, touchedAt }
+    this.rooms = new Map()
+  }
+
+  _room(room) {
+    let history = this.rooms.get(room)
+    if (!history) {
+      history = { checkpoint: null, journal: [], current: null, users: new Map(), touchedAt: Date.now() }
+      this.rooms.set(room, history)
+    }
+    history.touchedAt = Date.now()
+    return history
+  }
+
+  _stacks(history, author) {
+    let stacks = history.users.get(author)
+    if (!stacks) {
+      stacks = { past: [], future: [] }
+      history.users.set(author, stacks)
+    }
+    return stacks
+  }
+
+  _state(stacks) {
+    const past = stacks?.past.length || 0
+    const future = stacks?.future.length || 0
+    return { canUndo: past > 0, canRedo: future > 0, past, future }
+  }
+
+  _append(history, changes, fullSnapshot = null) {
+    history.current = fullSnapshot || applyDiff(history.current, changes)
+    history.journal.push(changes)
+    if (history.journal.length >= this.checkpointEvery) {
+      history.checkpoint = history.current
+      history.journal = []
+    }
+  }
+
+  async record(room, author, snapshot) {
+    const history = this._room(room)
+    const stacks = this._stacks(history, author)
+    // The first snapshot of a room is the baseline, not an undoable change
+    if (!history.current) {
+      history.checkpoint = history.current = snapshot
+      return this._state(stacks)
+    }
+    const changes = diffSnapshots(history.current, snapshot)
+    if (changes.length === 0) return this._state(stacks)
+    stacks.past.push({ id: newEntryId(), author, at: Date.now(), changes })
+    if (stacks.past.length > this.maxSize) stacks.past.shift()
+    // A new action invalidates this author's redo
+    stacks.future = []
+    this._append(history, changes, snapshot)
+    return this._state(stacks)
+  }
+
+  async _step(room, author, from, to, reversed) {
+    const history = this._room(room)
+    const stacks = this._stacks(history, author)
+    if (stacks[from].length === 0) return null
+    const entry = stacks[from].pop()
+    stacks[to].push(entry)
+    const changes = reversed ? invertDiff(entry.changes) : entry.changes
+    this._append(history, changes)
+    return { entry, changes, ...this._state(stacks) }
+  }
+
+  async undo(room, author) {
+    return this._step(room, author, 'past', 'future', true)
+  }
+
+  async redo(room, author) {
+    return this._step(room, author, 'future', 'past', false)
+  }
+
+  async state(room, author) {
+    return this._state(this.rooms.get(room)?.users.get(author))
+  }
+
+  /** Current full state of the room as history knows it */
+  async current(room) {
+    return this.rooms.get(room)?.current || null
+  }
+
+  /** Undo/redo stack sizes of every author with history in the room */
+  async depth(room) {
+    const history = this.rooms.get(room)
+    if (!history) return []
+    return [...history.users].map(([author, stacks]) => ({ author, ...this._state(stacks) }))
+  }
+
+  async clear(room) {
+    return this.rooms.delete(room)
+  }
+
+  /** The room's history as plain data, to hand it over on shutdown */
+  async exportRoom(room) {
+    const history = this.rooms.get(room)
+    if (!history) return null
+    const { checkpoint, journal, current, users } = history
+    return { checkpoint, journal, current, users: [...users] }
+  }
+
+  async importRoom(room, state) {
+    if (!state || this.rooms.has(room)) return
+    this.rooms.set(room, { ...state, users: new Map(state.users), touchedAt: Date.now() })
+  }
+
+  /** Drop rooms nobody touched within the idle TTL */
+  async evictIdle() {
+    const cutoff = Date.now() - this.idleTtlMs
+    let evicted = 0
+    for (const [room, history] of this.rooms) {
+      if (history.touchedAt < cutoff) {
+        this.rooms.delete(room)
+        evicted += 1
+      }
+    }
+    return evicted
+  }
+}
+
+// KEYS: checkpoint, journal, version, past, future, authors
+// ARGV: snapshot, entry, changes, author, maxSize, idleTtlMs, expectedVersion, expectedJournalLength, checkpointEvery, baseline
+// Returns -1 when another instance changed the room state since it was read.
+const RECORD_SCRIPT = `
+local version = redis.call('GET', KEYS[3]) or '0'
+if version ~= ARGV[7] or redis.call('LLEN', KEYS[2]) ~= tonumber(ARGV[8]) then return -1 end
+if ARGV[10] == '1' then
+  redis.call('SET', KEYS[1], ARGV[1])
+  redis.call('INCR', KEYS[3])
+else
+  redis.call('RPUSH', KEYS[4], ARGV[2])
+  redis.call('LTRIM', KEYS[4], -tonumber(ARGV[5]), -1)
+  redis.call('DEL', KEYS[5])
+  redis.call('SADD', KEYS[6], ARGV[4])
+  if redis.call('RPUSH', KEYS[2], ARGV[3]) >= tonumber(ARGV[9]) then
+    redis.call('SET', KEYS[1], ARGV[1])
+    redis.call('DEL', KEYS[2])
+    redis.call('INCR', KEYS[3])
+  end
+end
+for i = 1, 6 do redis.call('PEXPIRE', KEYS[i], ARGV[6]) end
+return redis.call('LLEN', KEYS[4])
+`
+
+// KEYS: from, to  ARGV: idleTtlMs
+const STEP_SCRIPT = `
+local entry = redis.call('RPOP', KEYS[1])
+if not entry then return { 0 } end
+redis.call('RPUSH', KEYS[2], entry)
+for i = 1, 2 do redis.call('PEXPIRE', KEYS[i], ARGV[1]) end
+return { 1, entry, redis.call('LLEN', KEYS[1]), redis.call('LLEN', KEYS[2]) }
+`
+
+// KEYS: checkpoint, journal, version  ARGV: snapshot, expectedVersion, foldedCount, idleTtlMs
+const FOLD_SCRIPT = `
+local version = redis.call('GET', KEYS[3]) or '0'
+if version ~= ARGV[2] then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[4])
+redis.call('LTRIM', KEYS[2], tonumber(ARGV[3]), -1)
+redis.call('INCR', KEYS[3])
+return 1
+`
+
+const MAX_RECORD_ATTEMPTS = 5
+
+export class RedisHistoryStore {
+  /**
+   * @param {object} options
+   * @param {import('ioredis').Redis} options.redis
+   * @param {number} options.maxSize
+   * @param {number} options.idleTtlMs - idle rooms expire through Redis key TTLs
+   * @param {number} options.checkpointEvery
+   * @param {string} [options.prefix]
+   */
+  constructor({ redis, maxSize, idleTtlMs, checkpointEvery, prefix = 'riverflow:history' }) {
+    this.redis = redis
+    this.maxSize = maxSize
+    this.idleTtlMs = idleTtlMs
+    this.checkpointEvery = checkpointEvery
+    this.prefix = prefix
+    if (!redis.historyRecord) {
+      redis.defineCommand('historyRecord', { numberOfKeys: 6, lua: RECORD_SCRIPT })
+      redis.defineCommand('historyStep', { numberOfKeys: 2, lua: STEP_SCRIPT })
+      redis.defineCommand('historyFold', { numberOfKeys: 3, lua: FOLD_SCRIPT })
+    }
+  }
+
+  _keys(room, author) {
+    const base = `${this.prefix}:${room}`
+    return {
+      checkpoint: `${base}:checkpoint`,
+      journal: `${base}:journal`,
+      version: `${base}:version`,
+      authors: `${base}:authors`,
+      past: `${base}:past:${author}`,
+      future: `${base}:future:${author}`,
+    }
+  }
+
+  // Rebuild the current state from the latest checkpoint and its journal
+  async _load(k) {
+    const [[, checkpoint], [, journal], [, version]] = await this.redis.multi()
+      .get(k.checkpoint)
+      .lrange(k.journal, 0, -1)
+      .get(k.version)
+      .exec()
+    let current = checkpoint ? JSON.parse(checkpoint) : null
+    for (const raw of journal) current = applyDiff(current, JSON.parse(raw))
+    return { current, journalLength: journal.length, version: version || '0' }
+  }
+
+  async record(room, author, snapshot) {
+    const k = this._keys(room, author)
+    for (let attempt = 0; attempt < MAX_RECORD_ATTEMPTS; attempt++) {
+      const { current, journalLength, version } = await this._load(k)
+      const baseline = !current
+      const changes = baseline ? [] : diffSnapshots(current, snapshot)
+      if (!baseline && changes.length === 0) return this.state(room, author)
+      const entry = JSON.stringify({ id: newEntryId(), author, at: Date.now(), changes })
+      const past = await this.redis.historyRecord(
+        k.checkpoint, k.journal, k.version, k.past, k.future, k.authors,
+        JSON.stringify(snapshot), entry, JSON.stringify(changes), author, this.maxSize, this.idleTtlMs,
+        version, journalLength, this.checkpointEvery, baseline ? '1' : '0',
+      )
+      if (past < 0) continue
+      if (baseline) return this.state(room, author)
+      return { canUndo: past > 0, canRedo: false, past, future: 0 }
+    }
+    throw new Error('History is changing too fast, try again')
+  }
+
+  async _step(room, author, from, to, reversed) {
+    const k = this._keys(room, author)
+    const result = await this.redis.historyStep(from, to, this.idleTtlMs)
+    if (!result || result[0] === 0) return null
+    const [, raw, fromLen, toLen] = result
+    const entry = JSON.parse(raw)
+    const changes = reversed ? invertDiff(entry.changes) : entry.changes
+    const journalLength = await this.redis.rpush(k.journal, JSON.stringify(changes))
+    // Undo/redo never carries a full snapshot, so fold here once the journal runs long
+    if (journalLength >= this.checkpointEvery * 2) {
+      const loaded = await this._load(k)
+      await this.redis.historyFold(k.checkpoint, k.journal, k.version, JSON.stringify(loaded.current), loaded.version, loaded.journalLength, this.idleTtlMs)
+    }
+    // Undo moves an entry from past to future, redo back
+    const past = reversed ? fromLen : toLen
+    const future = reversed ? toLen : fromLen
+    return { entry, changes, canUndo: past > 0, canRedo: future > 0, past, future }
+  }
+
+  async undo(room, author) {
+    const k = this._keys(room, author)
+    return this._step(room, author, k.past, k.future, true)
+  }
+
+  async redo(room, author) {
+    const k = this._keys(room, author)
+    return this._step(room, author, k.future, k.past, false)
+  }
+
+  async state(room, author) {
+    const k = this._keys(room, author)
+    const [[, past], [, future]] = await this.redis.multi().llen(k.past).llen(k.future).exec()
+    return { canUndo: past > 0, canRedo: future > 0, past, future }
+  }
+
+  async current(room) {
+    return (await this._load(this._keys(room, ''))).current
+  }
+
+  async depth(room) {
+    const authors = await this.redis.smembers(this._keys(room, '').authors)
+    if (authors.length === 0) return []
+    const multi = this.redis.multi()
+    for (const author of authors) {
+      const k = this._keys(room, author)
+      multi.llen(k.past).llen(k.future)
+    }
+    const lengths = await multi.exec()
+    return authors.map((author, i) => {
+      const past = lengths[i * 2][1]
+      const future = lengths[i * 2 + 1][1]
+      return { author, canUndo: past > 0, canRedo: future > 0, past, future }
+    })
+  }
+
+  async clear(room) {
+    const k = this._keys(room, '')
+    const authors = await this.redis.smembers(k.authors)
+    const keys = [k.checkpoint, k.journal, k.version, k.authors]
+    for (const author of authors) {
+      const ak = this._keys(room, author)
+      keys.push(ak.past, ak.future)
+    }
+    return (await this.redis.del(...keys)) > 0
+  }
+
+  // History already outlives this instance in Redis
+  async exportRoom() {
+    return null
+  }
+
+  async importRoom() { }
+
+  async evictIdle() {
+    // Redis expires idle rooms on its own
+    return 0
+  }
+}
+
+export function createHistoryStore({ redis = null, maxSize = 50, idleTtlMs = 24 * 60 * 60 * 1000, checkpointEvery = 20 } = {}) {
+  if (redis) return new RedisHistoryStore({ redis, maxSize, idleTtlMs, checkpointEvery })
+  return new MemoryHistoryStore({ maxSize, idleTtlMs, checkpointEvery })
+}
+
+export default createHistoryStore
@@ -0,0 +1,237 @@
+// Soft element locks.
+//
+// A client may claim a node or edge while editing it. The claim is a lease:
+// it expires `ttlMs` after the holder's last claim or update of that element,
+// and is released when the holder disconnects. While a lease is held, updates
+// to the element from other clients are rejected with a `locked` error.
+
+import { rejectPacket } from './ack.js'
+import { socketLogger } from '../logger.js'
+
+export const LOCKABLE_KINDS = ['node', 'edge']
+
+// Update events guarded by a lock, and the kind of element they change
+const GUARDED_EVENTS = {
+  'mindmap:nodes:update': 'node',
+  'mindmap:edges:update': 'edge',
+}
+
+export const lockKey = (kind, id) => `${kind}:${id}`
+
+export class MemoryLockStore {
+  constructor() {
+    this.rooms = new Map() // room -> Map<key, lock>
+  }
+
+  _live(room, key) {
+    const lock = this.rooms.get(room)?.get(key)
+    return lock && lock.expiresAt > Date.now() ? lock : null
+  }
+
+  /** @returns {Promise<{ granted: boolean, renewed: boolean, lock: object }>} */
+  async acquire(room, holder, ttlMs) {
+    const key = lockKey(holder.kind, holder.id)
+    const current = this._live(room, key)
+    if (current && current.clientId !== holder.clientId) return { granted: false, renewed: false, lock: current }
+    let locks = this.rooms.get(room)
+    if (!locks) {
+      locks = new Map()
+      this.rooms.set(room, locks)
+    }
+    const lock = { ...holder, expiresAt: Date.now() + ttlMs }
+    locks.set(key, lock)
+    return { granted: true, renewed: !!current, lock }
+  }
+
+  async get(room, kind, id) {
+    return this._live(room, lockKey(kind, id))
+  }
+
+  async release(room, kind, id, clientId) {
+    const locks = this.rooms.get(room)
+    const key = lockKey(kind, id)
+    if (locks?.get(key)?.clientId !== clientId) return false
+    locks.delete(key)
+    if (locks.size === 0) this.rooms.delete(room)
+    return true
+  }
+
+  /** @returns {Promise<Array<object>>} the locks that were released */
+  async releaseAll(room, clientId) {
+    const locks = this.rooms.get(room)
+    if (!locks) return []
+    const released = []
+    for (const [key, lock] of locks) {
+      if (lock.clientId !== clientId) continue
+      locks.delete(key)
+      released.push(lock)
+    }
+    if (locks.size === 0) this.rooms.delete(room)
+    return released
+  }
+
+  async list(room) {
+    const now = Date.now()
+    return [...(this.rooms.get(room)?.values() || [])].filter((lock) => lock.expiresAt > now)
+  }
+
+  /** @returns {Promise<Array<object>>} the locks whose lease ran out */
+  async sweep(room) {
+    const locks = this.rooms.get(room)
+    if (!locks) return []
+    const now = Date.now()
+    const expired = []
+    for (const [key, lock] of locks) {
+      if (lock.expiresAt > now) continue
+      locks.delete(key)
+      expired.push(lock)
+    }
+    if (locks.size === 0) this.rooms.delete(room)
+    return expired
+  }
+}
+
+// KEYS: owners, expiry, info  ARGV: key, clientId, expiresAt, info JSON, now, keyTtlMs
+// Returns { 1, renewed } when granted, { 0, info } when another client holds the lease.
+const ACQUIRE_SCRIPT = `
+local owner = redis.call('HGET', KEYS[1], ARGV[1])
+local expiresAt = tonumber(redis.call('ZSCORE', KEYS[2], ARGV[1]) or '0')
+local live = owner and expiresAt > tonumber(ARGV[5])
+if live and owner ~= ARGV[2] then
+  return { 0, redis.call('HGET', KEYS[3], ARGV[1]) }
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+redis.call('HSET', KEYS[3], ARGV[1], ARGV[4])
+for i = 1, 3 do redis.call('PEXPIRE', KEYS[i], ARGV[6]) end
+if live then return { 1, 1 } end
+return { 1, 0 }
+`
+
+// KEYS: owners, expiry, info  ARGV: key, clientId ('' releases only an expired lease), now
+const RELEASE_SCRIPT = `
+local owner = redis.call('HGET', KEYS[1], ARGV[1])
+if not owner then return 0 end
+if ARGV[2] == '' then
+  local expiresAt = tonumber(redis.call('ZSCORE', KEYS[2], ARGV[1]) or '0')
+  if expiresAt > tonumber(ARGV[3]) then return 0 end
+elseif owner ~= ARGV[2] then
+  return 0
+end
+redis.call('HDEL', KEYS[1], ARGV[1])
+redis.call('ZREM', KEYS[2], ARGV[1])
+redis.call('HDEL', KEYS[3], ARGV[1])
+return 1
+`
+
+export class RedisLockStore {
+  constructor({ redis, prefix = 'riverflow:locks' }) {
+    this.redis = redis
+    this.prefix = prefix
+    if (!redis.lockAcquire) {
+      redis.defineCommand('lockAcquire', { numberOfKeys: 3, lua: ACQUIRE_SCRIPT })
+      redis.defineCommand('lockRelease', { numberOfKeys: 3, lua: RELEASE_SCRIPT })
+    }
+  }
+
+  // owners: key -> clientId, expiry: key scored by lease end, info: key -> lock JSON
+  _keys(room) {
+    const base = `${this.prefix}:${room}`
+    return { owners: `${base}:owners`, expiry: `${base}:expiry`, info: `${base}:info` }
+  }
+
+  async acquire(room, holder, ttlMs) {
+    const k = this._keys(room)
+    const key = lockKey(holder.kind, holder.id)
+    const lock = { ...holder, expiresAt: Date.now() + ttlMs }
+    const [granted, extra] = await this.redis.lockAcquire(
+      k.owners, k.expiry, k.info,
+      key, holder.clientId, lock.expiresAt, JSON.stringify(lock), Date.now(), ttlMs * 4,
+    )
+    if (granted === 1) return { granted: true, renewed: extra === 1, lock }
+    return { granted: false, renewed: false, lock: JSON.parse(extra) }
+  }
+
+  async get(room, kind, id) {
+    const k = this._keys(room)
+    const key = lockKey(kind, id)
+    const [[, expiresAt], [, raw]] = await this.redis.multi().zscore(k.expiry, key).hget(k.info, key).exec()
+    if (!raw || Number(expiresAt) <= Date.now()) return null
+    return JSON.parse(raw)
+  }
+
+  async release(room, kind, id, clientId) {
+    const k = this._keys(room)
+    return (await this.redis.lockRelease(k.owners, k.expiry, k.info, lockKey(kind, id), clientId, Date.now())) === 1
+  }
+
+  async releaseAll(room, clientId) {
+    const k = this._keys(room)
+    const owners = await this.redis.hgetall(k.owners)
+    const released = []
+    for (const [key, owner] of Object.entries(owners || {})) {
+      if (owner !== clientId) continue
+      const raw = await this.redis.hget(k.info, key)
+      if (await this.redis.lockRelease(k.owners, k.expiry, k.info, key, clientId, Date.now()) === 1 && raw) {
+        released.push(JSON.parse(raw))
+      }
+    }
+    return released
+  }
+
+  async list(room) {
+    const k = this._keys(room)
+    const [[, keys], [, info]] = await this.redis.multi()
+      .zrangebyscore(k.expiry, Date.now() + 1, '+inf')
+      .hgetall(k.info)
+      .exec()
+    return (keys || []).filter((key) => info?.[key]).map((key) => JSON.parse(info[key]))
+  }
+
+  async sweep(room) {
+    const k = this._keys(room)
+    const now = Date.now()
+    const keys = await this.redis.zrangebyscore(k.expiry, '-inf', now)
+    const expired = []
+    for (const key of keys) {
+      const raw = await this.redis.hget(k.info, key)
+      // Only the instance that wins the release reports the lease as expired
+      if (await this.redis.lockRelease(k.owners, k.expiry, k.info, key, '', now) === 1 && raw) {
+        expired.push(JSON.parse(raw))
+      }
+    }
+    return expired
+  }
+}
+
+export function createLockStore({ redis = null } = {}) {
+  if (redis) return new RedisLockStore({ redis })
+  return new MemoryLockStore()
+}
+
+/**
+ * Socket middleware rejecting updates to elements another client holds a lease on.
+ * The holder's own updates extend its lease.
+ */
+export function enforceLocks(socket, locks, { ttlMs, resolveRoom }) {
+  return (packet, next) => {
+    const kind = GUARDED_EVENTS[Array.isArray(packet) ? packet[0] : null]
+    const id = kind ? packet[2]?.id : null
+    if (!id) return next()
+    const room = resolveRoom(packet)
+    locks.get(room, kind, id).then(async (lock) => {
+      if (!lock) return next()
+      if (lock.clientId === socket.id) {
+        await locks.acquire(room, lock, ttlMs)
+        return next()
+      }
+      rejectPacket(socket, packet, 'locked', `This ${kind} is being edited by ${lock.name || 'another collaborator'}`, { room, lock })
+    }).catch((e) => {
+      // A failing lock store must not block editing
+      socketLogger(socket, { room }).error('lock: check failed', e)
+      next()
+    })
+  }
+}
+
+export default createLockStore
@@ -0,0 +1,122 @@
+// Prometheus metrics for this instance, served as text by `GET /metrics`.
+//
+// Counters are bumped where things happen; gauges describing current state
+// (sockets, rooms, buffer, outbox...) are filled in by collectors that run
+// right before each scrape.
+
+import { logger } from '../logger.js'
+
+const families = new Map() // name -> { type, help, series: Map<labelKey, { labels, value }> }
+const collectors = []
+
+function family(name, type, help) {
+  let fam = families.get(name)
+  if (!fam) {
+    fam = { type, help, series: new Map() }
+    families.set(name, fam)
+  }
+  return fam
+}
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+
+function series(fam, labels) {
+  const key = labelKey(labels)
+  let s = fam.series.get(key)
+  if (!s) {
+    s = { labels, value: 0 }
+    fam.series.set(key, s)
+  }
+  return s
+}
+
+/** A monotonically increasing count */
+export function defineCounter(name, help) {
+  const fam = family(name, 'counter', help)
+  return {
+    inc: (labels = {}, by = 1) => { series(fam, labels).value += by },
+    /** For counters kept elsewhere and copied in by a collector */
+    set: (labels, value) => { series(fam, labels).value = value },
+  }
+}
+
+/** A value that goes up and down */
+export function defineGauge(name, help) {
+  const fam = family(name, 'gauge', help)
+  return {
+    set: (labels, value) => { series(fam, labels).value = value },
+    // Drop every series, e.g. before refilling per-room values
+    reset: () => fam.series.clear(),
+  }
+}
+
+/** Sum and count of observed values, e.g. durations in seconds */
+export function defineSummary(name, help) {
+  const fam = family(name, 'summary', help)
+  const sum = family(`${name}_sum`, null, null)
+  const count = family(`${name}_count`, null, null)
+  return {
+    observe: (labels, value) => {
+      series(fam, labels) // keeps the family listed
+      series(sum, labels).value += value
+      series(count, labels).value += 1
+    },
+    set: (labels, total, n) => {
+      series(fam, labels)
+      series(sum, labels).value = total
+      series(count, labels).value = n
+    },
+  }
+}
+
+/** Run `fn` before every scrape to refresh gauges; it may be async */
+export function onCollect(fn) {
+  collectors.push(fn)
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+function formatSeries(name, { labels, value }) {
+  const entries = Object.entries(labels)
+  const rendered = entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : ''
+  return `${name}${rendered} ${Number.isFinite(value) ? value : 0}`
+}
+
+/** @returns {Promise<string>} every metric in the Prometheus text exposition format */
+export async function renderMetrics() {
+  await Promise.all(collectors.map(async (fn) => {
+    try {
+      await fn()
+    } catch (e) {
+      logger.error('metrics: collector failed', e)
+    }
+  }))
+
+  const lines = []
+  for (const [name, fam] of families) {
+    if (!fam.type) continue // _sum / _count parts are written with their summary
+    lines.push(`# HELP ${name} ${fam.help}`, `# TYPE ${name} ${fam.type}`)
+    if (fam.type === 'summary') {
+      for (const part of ['_sum', '_count']) {
+        for (const s of families.get(`${name}${part}`).series.values()) lines.push(formatSeries(`${name}${part}`, s))
+      }
+      continue
+    }
+    for (const s of fam.series.values()) lines.push(formatSeries(name, s))
+  }
+  return `${lines.join('\n')}\n`
+}
+
+// Process-level metrics every instance reports
+const residentMemory = defineGauge('process_resident_memory_bytes', 'Resident memory size in bytes')
+const heapUsed = defineGauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes')
+const uptime = defineGauge('process_uptime_seconds', 'Seconds since the process started')
+
+onCollect(() => {
+  const memory = process.memoryUsage()
+  residentMemory.set({}, memory.rss)
+  heapUsed.set({}, memory.heapUsed)
+  uptime.set({}, Math.round(process.uptime()))
+})
+
+export default renderMetrics
@@ -0,0 +1,69 @@
+import { grantRoomAccess, revokeRoomAccess, roomAccess } from './authorization.js'
+import { leaveRoom } from './features.js'
+
+const EDIT_ROLES = new Set(['owner', 'editor', 'edit', 'admin'])
+const NO_PUBLIC_ACCESS = new Set(['', 'none', 'private', 'disabled'])
+
+export const roleCanEdit = (role) => EDIT_ROLES.has(String(role || '').toLowerCase())
+
+/**
+ * Turn a backend /notify/permission-change body into the change applied to live sockets.
+ * Field names follow the backend payloads, with a few tolerated aliases.
+ */
+export function normalizePermissionChange(mindmapId, eventType, data = {}) {
+  const d = data || {}
+  return {
+    mindmapId: String(mindmapId),
+    room: `mindmap:${mindmapId}`,
+    eventType,
+    userId: d.userId ?? d.collaboratorUserId ?? d.collaboratorId ?? null,
+    role: d.role ?? d.newRole ?? null,
+    publicAccessLevel: d.isPublic === false ? 'private' : (d.publicAccessLevel ?? d.accessLevel ?? null),
+  }
+}
+
+/**
+ * Apply a permission change to the sockets connected to this instance.
+ * @param {import('socket.io').Namespace} nsp
+ * @param {ReturnType<typeof normalizePermissionChange>} change
+ * @param {{ onRevoke?: (socket: import('socket.io').Socket, room: string) => void }} [hooks]
+ * @returns {{ updated: number, revoked: number }}
+ */
+export function applyPermissionChange(nsp, change, { onRevoke } = {}) {
+  const { room, eventType } = change
+  const result = { updated: 0, revoked: 0 }
+
+  const update = (socket, canEdit, reason) => {
+    grantRoomAccess(socket, room, { canEdit })
+    socket.emit('permission:updated', { room, mindmapId: change.mindmapId, canEdit, reason, role: change.role })
+    result.updated += 1
+  }
+
+  const revoke = (socket, reason) => {
+    revokeRoomAccess(socket, room)
+    socket.emit('permission:revoked', { room, mindmapId: change.mindmapId, reason })
+    leaveRoom(socket, room)
+    if (onRevoke) onRevoke(socket, room)
+    result.revoked += 1
+  }
+
+  for (const socket of nsp.sockets.values()) {
+    const access = roomAccess(socket, room)
+    if (!access) continue
+    const viaShareLink = !!access.shareToken
+    const isUser = change.userId != null && String(socket.data.user?.id) === String(change.userId)
+
+    if (eventType === 'collaborator_role_changed' && isUser && !viaShareLink) {
+      update(socket, roleCanEdit(change.role), 'role_changed')
+    } else if (eventType === 'collaborator_removed' && isUser && !viaShareLink) {
+      revoke(socket, 'collaborator_removed')
+    } else if (eventType === 'public_access_changed' && viaShareLink && change.publicAccessLevel != null) {
+      const level = String(change.publicAccessLevel || '').toLowerCase()
+      if (NO_PUBLIC_ACCESS.has(level)) revoke(socket, 'public_access_disabled')
+      else update(socket, level === 'edit', 'public_access_changed')
+    }
+  }
+  return result
+}
+
+export default applyPermissionChange
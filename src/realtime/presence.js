@@ -0,0 +1,185 @@
+// Participant presence per room.
+//
+// Each participant has an expiry that the instance owning its socket keeps
+// pushing forward with heartbeats. If that instance dies, the entries expire
+// and whichever instance sweeps the room first announces `presence:left`.
+
+const FIELD_SEPARATOR = '|'
+const PRESENCE_FIELDS = ['cursor', 'active']
+
+export class MemoryPresenceStore {
+  constructor({ ttlMs }) {
+    this.ttlMs = ttlMs
+    this.rooms = new Map() // room -> Map<clientId, { info, cursor, active, expiresAt }>
+  }
+
+  _room(room) {
+    let participants = this.rooms.get(room)
+    if (!participants) {
+      participants = new Map()
+      this.rooms.set(room, participants)
+    }
+    return participants
+  }
+
+  async upsert(room, info) {
+    const participants = this._room(room)
+    const existing = participants.get(info.clientId) || { cursor: null, active: null }
+    participants.set(info.clientId, { ...existing, info, expiresAt: Date.now() + this.ttlMs })
+  }
+
+  async update(room, clientId, field, value) {
+    const p = this.rooms.get(room)?.get(clientId)
+    if (p) p[field] = value
+  }
+
+  async heartbeat(room, clientIds) {
+    const participants = this.rooms.get(room)
+    if (!participants) return
+    const expiresAt = Date.now() + this.ttlMs
+    for (const clientId of clientIds) {
+      const p = participants.get(clientId)
+      if (p) p.expiresAt = expiresAt
+    }
+  }
+
+  async remove(room, clientId) {
+    const participants = this.rooms.get(room)
+    if (!participants) return false
+    const removed = participants.delete(clientId)
+    if (participants.size === 0) this.rooms.delete(room)
+    return removed
+  }
+
+  async list(room) {
+    const participants = this.rooms.get(room)
+    if (!participants) return []
+    const now = Date.now()
+    const result = []
+    for (const p of participants.values()) {
+      if (p.expiresAt > now) result.push({ ...p.info, cursor: p.cursor || null, active: p.active || null })
+    }
+    return result
+  }
+
+  async sweep(room) {
+    const participants = this.rooms.get(room)
+    if (!participants) return []
+    const now = Date.now()
+    const expired = []
+    for (const [clientId, p] of participants) {
+      if (p.expiresAt <= now) {
+        participants.delete(clientId)
+        expired.push(clientId)
+      }
+    }
+    if (participants.size === 0) this.rooms.delete(room)
+    return expired
+  }
+}
+
+export class RedisPresenceStore {
+  /**
+   * @param {object} options
+   * @param {import('ioredis').Redis} options.redis
+   * @param {number} options.ttlMs
+   * @param {string} [options.prefix]
+   */
+  constructor({ redis, ttlMs, prefix = 'riverflow:presence' }) {
+    this.redis = redis
+    this.ttlMs = ttlMs
+    this.prefix = prefix
+  }
+
+  // Hash of clientId -> info JSON, plus `clientId|cursor` / `clientId|active` fields
+  _key(room) {
+    return `${this.prefix}:${room}`
+  }
+
+  // Sorted set of clientId scored by expiry time
+  _expiryKey(room) {
+    return `${this.prefix}:${room}:expiry`
+  }
+
+  _touchKeys(multi, room) {
+    // The room keys outlive their participants only briefly
+    multi.pexpire(this._key(room), this.ttlMs * 2)
+    multi.pexpire(this._expiryKey(room), this.ttlMs * 2)
+  }
+
+  async upsert(room, info) {
+    const multi = this.redis.multi()
+    multi.hset(this._key(room), info.clientId, JSON.stringify(info))
+    multi.zadd(this._expiryKey(room), Date.now() + this.ttlMs, info.clientId)
+    this._touchKeys(multi, room)
+    await multi.exec()
+  }
+
+  async update(room, clientId, field, value) {
+    await this.redis.hset(this._key(room), `${clientId}${FIELD_SEPARATOR}${field}`, JSON.stringify(value ?? null))
+  }
+
+  async heartbeat(room, clientIds) {
+    if (clientIds.length === 0) return
+    const expiresAt = Date.now() + this.ttlMs
+    const args = []
+    for (const clientId of clientIds) args.push(expiresAt, clientId)
+    const multi = this.redis.multi()
+    // XX: never resurrect a participant that was already swept or removed
+    multi.zadd(this._expiryKey(room), 'XX', ...args)
+    this._touchKeys(multi, room)
+    await multi.exec()
+  }
+
+  async _delete(room, clientId) {
+    const results = await this.redis.multi()
+      .zrem(this._expiryKey(room), clientId)
+      .hdel(this._key(room), clientId, ...PRESENCE_FIELDS.map((f) => `${clientId}${FIELD_SEPARATOR}${f}`))
+      .exec()
+    const zremoved = results?.[0]?.[1] || 0
+    return zremoved > 0
+  }
+
+  async remove(room, clientId) {
+    return this._delete(room, clientId)
+  }
+
+  async list(room) {
+    const [[, alive], [, hash]] = await this.redis.multi()
+      .zrangebyscore(this._expiryKey(room), Date.now(), '+inf')
+      .hgetall(this._key(room))
+      .exec()
+    const result = []
+    for (const clientId of alive || []) {
+      const raw = hash?.[clientId]
+      if (!raw) continue
+      try {
+        const info = JSON.parse(raw)
+        const extra = {}
+        for (const f of PRESENCE_FIELDS) {
+          const v = hash[`${clientId}${FIELD_SEPARATOR}${f}`]
+          extra[f] = v ? JSON.parse(v) : null
+        }
+        result.push({ ...info, ...extra })
+      } catch { }
+    }
+    return result
+  }
+
+  async sweep(room) {
+    const expiredIds = await this.redis.zrangebyscore(this._expiryKey(room), '-inf', Date.now())
+    const expired = []
+    for (const clientId of expiredIds) {
+      // Only the instance that wins the ZREM reports the participant as gone
+      if (await this._delete(room, clientId)) expired.push(clientId)
+    }
+    return expired
+  }
+}
+
+export function createPresenceStore({ redis = null, ttlMs = 30000 } = {}) {
+  if (redis) return new RedisPresenceStore({ redis, ttlMs })
+  return new MemoryPresenceStore({ ttlMs })
+}
+
+export default createPresenceStore
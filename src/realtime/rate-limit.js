@@ -0,0 +1,188 @@
+// Per-client, per-event flood protection.
+//
+// Every incoming event draws a token from its socket's bucket for that event
+// type, so each tab gets the full limits. A user's sockets can optionally be
+// held to a ceiling of their own as well, shared across instances when Redis
+// is in use. Events without a limit of their own share the `*` bucket. Buckets
+// refill at `rate` tokens per second up to `burst`. A throttled packet is
+// answered with a `rate_limited` error and never reaches its handler; a socket
+// that keeps getting throttled is disconnected. Volatile packets, like cursor
+// moves, are superseded by the next one: throttling one only drops it.
+
+import { getAck, rejectPacket } from './ack.js'
+import { socketLogger } from '../logger.js'
+
+// Tokens per second and bucket size, per event type
+export const DEFAULT_RATE_LIMITS = {
+  'mindmap:join': { rate: 2, burst: 10 },
+  'cursor:move': { rate: 120, burst: 240 }, // clients send on every animation frame, 60 Hz or more
+  'presence:active': { rate: 10, burst: 20 },
+  'chat:message': { rate: 1, burst: 5 },
+  'chat:typing': { rate: 2, burst: 5 },
+  'chat:edit': { rate: 1, burst: 5 },
+  'chat:delete': { rate: 1, burst: 5 },
+  'chat:react': { rate: 3, burst: 10 },
+  'chat:history': { rate: 1, burst: 5 },
+  'comment:create': { rate: 0.5, burst: 5 },
+  'comment:reply': { rate: 1, burst: 5 },
+  'mindmap:nodes:change': { rate: 120, burst: 240 }, // drags, like cursor moves
+  'mindmap:edges:change': { rate: 30, burst: 60 },
+  'mindmap:snapshot': { rate: 0.5, burst: 3 },
+  'history:restore': { rate: 0.2, burst: 2 },
+  'lock:acquire': { rate: 5, burst: 20 },
+  'undo:request': { rate: 5, burst: 10 },
+  'redo:request': { rate: 5, burst: 10 },
+  '*': { rate: 20, burst: 40 },
+}
+
+// Parse `event=rate:burst,event=rate:burst` overrides, e.g. from an env var
+export function parseRateLimits(spec) {
+  const limits = {}
+  for (const part of String(spec || '').split(',')) {
+    const [event, value] = part.split('=').map((s) => s && s.trim())
+    if (!event || !value) continue
+    const [rate, burst] = value.split(':').map(Number)
+    if (rate > 0) limits[event] = { rate, burst: burst > 0 ? burst : Math.max(1, rate) }
+  }
+  return limits
+}
+
+const stats = {
+  throttled: 0,
+  disconnected: 0,
+  byEvent: {},
+}
+
+/** Counters since the process started, for monitoring */
+export function getRateLimitStats() {
+  return { throttled: stats.throttled, disconnected: stats.disconnected, byEvent: { ...stats.byEvent } }
+}
+
+export class MemoryRateLimiter {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.buckets = new Map() // key -> { tokens, at, fullAt }
+    this.sweepIntervalMs = sweepIntervalMs
+    this.sweptAt = Date.now()
+  }
+
+  async take(key, { rate, burst }) {
+    const now = Date.now()
+    this._sweep(now)
+    const bucket = this.buckets.get(key) || { tokens: burst, at: now, fullAt: now }
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * rate)
+    bucket.at = now
+    const allowed = bucket.tokens >= 1
+    if (allowed) bucket.tokens -= 1
+    bucket.fullAt = now + ((burst - bucket.tokens) / rate) * 1000
+    this.buckets.set(key, bucket)
+    return allowed
+  }
+
+  // A bucket that has refilled completely is the same as no bucket
+  _sweep(now) {
+    if (now - this.sweptAt < this.sweepIntervalMs) return
+    this.sweptAt = now
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key)
+    }
+  }
+}
+
+// KEYS: bucket  ARGV: rate, burst, now, ttlMs
+const TAKE_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = tonumber(state[1]) or burst
+local at = tonumber(state[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - at) / 1000 * rate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', now)
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return allowed
+`
+
+export class RedisRateLimiter {
+  constructor({ redis, prefix = 'riverflow:ratelimit' }) {
+    this.redis = redis
+    this.prefix = prefix
+    if (!redis.rateLimitTake) {
+      redis.defineCommand('rateLimitTake', { numberOfKeys: 1, lua: TAKE_SCRIPT })
+    }
+  }
+
+  async take(key, { rate, burst }) {
+    // A bucket left alone long enough to refill completely can be dropped
+    const ttlMs = Math.ceil((burst / rate) * 1000) + 1000
+    return (await this.redis.rateLimitTake(`${this.prefix}:${key}`, rate, burst, Date.now(), ttlMs)) === 1
+  }
+}
+
+export function createRateLimiter({ redis = null } = {}) {
+  if (redis) return new RedisRateLimiter({ redis })
+  return new MemoryRateLimiter()
+}
+
+/**
+ * Socket middleware that throttles each event type separately.
+ * @param {import('socket.io').Socket} socket
+ * @param {MemoryRateLimiter|RedisRateLimiter} limiter
+ * @param {object} options
+ * @param {Record<string, { rate: number, burst: number }>} options.limits - `*` applies to unlisted events
+ * @param {number} options.maxViolations - throttled packets tolerated within `violationWindowMs`
+ * @param {number} options.violationWindowMs
+ * @param {number} [options.userFactor=0] - when set, a signed-in user's sockets together get this many times the limits
+ * @param {(packet: Array) => boolean} [options.isVolatile] - packets to drop quietly when throttled
+ */
+export function rateLimitEvents(socket, limiter, { limits, maxViolations, violationWindowMs, userFactor = 0, isVolatile = () => false }) {
+  let violations = []
+  const userId = userFactor > 0 ? socket.data.user?.id : null
+
+  const take = async (name, limit) => {
+    if (!(await limiter.take(`socket:${socket.id}:${name}`, limit))) return false
+    if (userId == null) return true
+    return limiter.take(`user:${userId}:${name}`, { rate: limit.rate * userFactor, burst: limit.burst * userFactor })
+  }
+
+  return (packet, next) => {
+    const event = Array.isArray(packet) ? packet[0] : null
+    // Client-chosen names must not mint buckets, counters or metric labels
+    const name = Object.hasOwn(limits, event) ? event : '*'
+    const limit = limits[name]
+    if (!limit) return next()
+
+    take(name, limit).then((allowed) => {
+      if (allowed) return next()
+
+      stats.throttled += 1
+      stats.byEvent[name] = (stats.byEvent[name] || 0) + 1
+      const reject = () => rejectPacket(socket, packet, 'rate_limited', 'Too many requests, slow down', { retryAfterMs: Math.ceil(1000 / limit.rate) })
+      // A dropped volatile packet is not worth an error event or a violation
+      if (isVolatile(packet)) {
+        if (getAck(packet)) reject()
+        return
+      }
+      reject()
+
+      const now = Date.now()
+      violations = violations.filter((at) => now - at < violationWindowMs)
+      violations.push(now)
+      if (violations.length > maxViolations) {
+        stats.disconnected += 1
+        socketLogger(socket, { event }).warn('ratelimit: disconnecting')
+        socket.disconnect(true)
+      }
+    }, (e) => {
+      // Never lock clients out because the limiter itself failed
+      socketLogger(socket, { event }).error('ratelimit: limiter failed', e)
+      next()
+    })
+  }
+}
+
+export default rateLimitEvents
@@ -0,0 +1,190 @@
+// Per-room replay log of broadcast events.
+//
+// Every replayable room broadcast gets a sequence number and is kept in a
+// log bounded by event count and by bytes. A client that reconnects sends
+// the last sequence it saw and receives exactly the events it missed, or is
+// told to resync when the log no longer reaches back that far.
+//
+// In memory, sequence numbers are assigned without waiting, so the event goes
+// out at once. In Redis they are allocated by the script that stores the
+// event, one counter per room, so the instances of a cluster never hand out
+// the same number or log a number below one already handed out; the event
+// goes out once that round trip is done. Either way a room's numbers start
+// from the clock (microseconds), which keeps them increasing across restarts.
+// Events too large to keep, like document snapshots, are logged as a resync
+// marker: a client that missed one reloads the document instead.
+
+import { logger } from '../logger.js'
+
+/** Logged in place of an event's payload to make clients that missed it resync */
+export const RESYNC = Symbol('resync')
+
+export const nextSeq = (last = 0) => Math.max(last + 1, Date.now() * 1000)
+
+// The logged form of an event; the marker keeps who sent it and who it was
+// for, so echoes and events for other clients can be filtered
+function toEntry(room, entry, seq, maxBytes) {
+  const full = entry.payload === RESYNC ? null : JSON.stringify({ ...entry, seq })
+  if (full && Buffer.byteLength(full) <= maxBytes) return full
+  if (full) logger.debug('replay: event too large to keep', { room, event: entry.event, bytes: Buffer.byteLength(full) })
+  const { event, origin = null, feature, withoutFeature } = entry
+  return JSON.stringify({ event, resync: true, origin, feature, withoutFeature, seq })
+}
+
+export class MemoryReplayLog {
+  /**
+   * @param {object} options
+   * @param {number} options.maxEvents - events kept per room
+   * @param {number} options.maxBytes - bytes of JSON kept per room
+   * @param {number} options.ttlMs - idle rooms are forgotten after this long
+   */
+  constructor({ maxEvents, maxBytes, ttlMs }) {
+    this.maxEvents = maxEvents
+    this.maxBytes = maxBytes
+    this.ttlMs = ttlMs
+    this.rooms = new Map() // room -> { seq, floor, events, bytes, touchedAt }
+    this._sweptAt = Date.now()
+  }
+
+  _sweep(now) {
+    if (now - this._sweptAt < 60 * 1000) return
+    this._sweptAt = now
+    for (const [room, log] of this.rooms) {
+      if (now - log.touchedAt > this.ttlMs) this.rooms.delete(room)
+    }
+  }
+
+  // Nothing before a log was opened can be replayed from it
+  _open(room, now) {
+    let log = this.rooms.get(room)
+    if (!log) {
+      const seq = nextSeq()
+      log = { seq, floor: seq, events: [], bytes: 0, touchedAt: now }
+      this.rooms.set(room, log)
+    }
+    log.touchedAt = now
+    return log
+  }
+
+  /** @returns {number} the event's sequence number */
+  append(room, entry) {
+    const now = Date.now()
+    this._sweep(now)
+    const log = this._open(room, now)
+    log.seq = nextSeq(log.seq)
+    const raw = toEntry(room, entry, log.seq, this.maxBytes)
+    const bytes = Buffer.byteLength(raw)
+    log.events.push({ raw, seq: log.seq, bytes })
+    log.bytes += bytes
+    while (log.events.length > 1 && (log.events.length > this.maxEvents || log.bytes > this.maxBytes)) {
+      const dropped = log.events.shift()
+      log.bytes -= dropped.bytes
+      log.floor = dropped.seq
+    }
+    return log.seq
+  }
+
+  /** The room's latest sequence number, which a client that just joined starts from */
+  async current(room) {
+    return this._open(room, Date.now()).seq
+  }
+
+  /**
+   * @param {string} room
+   * @param {number} lastSeq
+   * @param {(entry: object) => boolean} [filter] - the events meant for the client asking
+   * @returns {Promise<{ seq: number, events: Array<object>|null }>} events is null when a resync is needed
+   */
+  async since(room, lastSeq, filter = null) {
+    const log = this.rooms.get(room)
+    if (!log) return { seq: 0, events: lastSeq ? null : [] }
+    const events = log.events.filter((e) => e.seq > lastSeq).map((e) => JSON.parse(e.raw))
+    return { seq: log.seq, events: sliceSince(events, log, lastSeq, filter) }
+  }
+}
+
+function sliceSince(events, { seq, floor }, lastSeq, filter) {
+  if (lastSeq > seq) return null // the log was reset since the client last saw it
+  if (lastSeq < floor) return null // what the client missed was dropped
+  const missed = filter ? events.filter(filter) : events
+  if (missed.some((e) => e.resync)) return null
+  return missed
+}
+
+// KEYS: log, meta  ARGV: seq to start from, entry JSON, maxEvents, maxBytes, ttlMs
+// The log is a sorted set by sequence; meta holds the latest sequence, the
+// floor (the newest sequence no longer kept) and the bytes kept. The sequence
+// is spliced into the entry, which also keeps identical events apart, and is
+// formatted by hand, since Lua would write it in exponent form.
+const APPEND_SCRIPT = `
+if redis.call('HEXISTS', KEYS[2], 'seq') == 0 then
+  redis.call('HSET', KEYS[2], 'seq', ARGV[1], 'floor', ARGV[1])
+end
+local seq = string.format('%.0f', redis.call('HINCRBY', KEYS[2], 'seq', 1))
+local entry = '{"seq":' .. seq .. ',' .. string.sub(ARGV[2], 2)
+redis.call('ZADD', KEYS[1], seq, entry)
+local bytes = redis.call('HINCRBY', KEYS[2], 'bytes', #entry)
+local count = redis.call('ZCARD', KEYS[1])
+while count > 1 and (count > tonumber(ARGV[3]) or bytes > tonumber(ARGV[4])) do
+  local head = redis.call('ZPOPMIN', KEYS[1])
+  bytes = redis.call('HINCRBY', KEYS[2], 'bytes', -#head[1])
+  redis.call('HSET', KEYS[2], 'floor', head[2])
+  count = count - 1
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+redis.call('PEXPIRE', KEYS[2], ARGV[5])
+return seq
+`
+
+// KEYS: meta  ARGV: seq, ttlMs
+const OPEN_SCRIPT = `
+redis.call('HSETNX', KEYS[1], 'floor', ARGV[1])
+redis.call('HSETNX', KEYS[1], 'seq', ARGV[1])
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+return redis.call('HGET', KEYS[1], 'seq')
+`
+
+export class RedisReplayLog {
+  constructor({ redis, maxEvents, maxBytes, ttlMs, prefix = 'riverflow:replay' }) {
+    this.redis = redis
+    this.maxEvents = maxEvents
+    this.maxBytes = maxBytes
+    this.ttlMs = ttlMs
+    this.prefix = prefix
+    if (!redis.replayAppend) {
+      redis.defineCommand('replayAppend', { numberOfKeys: 2, lua: APPEND_SCRIPT })
+      redis.defineCommand('replayOpen', { numberOfKeys: 1, lua: OPEN_SCRIPT })
+    }
+  }
+
+  _keys(room) {
+    return { log: `${this.prefix}:${room}:log`, meta: `${this.prefix}:${room}:meta` }
+  }
+
+  /** @returns {Promise<number>} the event's sequence number, allocated by the script that stores it */
+  async append(room, entry) {
+    const k = this._keys(room)
+    const raw = toEntry(room, entry, undefined, this.maxBytes)
+    return Number(await this.redis.replayAppend(k.log, k.meta, String(nextSeq()), raw, this.maxEvents, this.maxBytes, this.ttlMs))
+  }
+
+  async current(room) {
+    return Number(await this.redis.replayOpen(this._keys(room).meta, String(nextSeq()), this.ttlMs))
+  }
+
+  async since(room, lastSeq, filter = null) {
+    const k = this._keys(room)
+    const [[, meta], [, raw]] = await this.redis.multi().hgetall(k.meta).zrangebyscore(k.log, `(${lastSeq}`, '+inf').exec()
+    if (!meta?.floor) return { seq: 0, events: lastSeq ? null : [] }
+    const seq = Number(meta.seq) || 0
+    const floor = Number(meta.floor) || 0
+    return { seq, events: sliceSince(raw.map((e) => JSON.parse(e)), { seq, floor }, lastSeq, filter) }
+  }
+}
+
+export function createReplayLog({ redis = null, maxEvents = 500, maxBytes = 512 * 1024, ttlMs = 10 * 60 * 1000 } = {}) {
+  if (redis) return new RedisReplayLog({ redis, maxEvents, maxBytes, ttlMs })
+  return new MemoryReplayLog({ maxEvents, maxBytes, ttlMs })
+}
+
+export default createReplayLog
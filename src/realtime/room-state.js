@@ -0,0 +1,81 @@
+// Room state handed over when an instance drains.
+//
+// Before its sockets go, a draining instance saves each room's document
+// replica, and its undo/redo stacks when history lives in memory. Whichever
+// instance next opens the room takes the state back. In Redis saved state
+// expires after `ttlMs`; without Redis it goes to a JSON file read by the
+// next start of this server.
+
+import fs from 'fs'
+import path from 'path'
+import { logger } from '../logger.js'
+
+export class FileRoomStateStore {
+  /**
+   * @param {object} options
+   * @param {string} options.file
+   */
+  constructor({ file }) {
+    this.file = file
+    this.rooms = new Map() // room -> state
+    this._load()
+  }
+
+  _load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      for (const [room, state] of Object.entries(saved.rooms || {})) this.rooms.set(room, state)
+      // Taken once: a later crash must not bring back stale state
+      fs.unlinkSync(this.file)
+      if (this.rooms.size > 0) logger.info('room-state: restored', { rooms: this.rooms.size, file: this.file })
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.error('room-state: could not read', { file: this.file, err: e })
+    }
+  }
+
+  /** @param {Map<string, object>} rooms - room -> state */
+  async saveAll(rooms) {
+    if (rooms.size === 0) return
+    const tmp = `${this.file}.tmp`
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+    await fs.promises.writeFile(tmp, JSON.stringify({ savedAt: Date.now(), rooms: Object.fromEntries(rooms) }))
+    await fs.promises.rename(tmp, this.file)
+  }
+
+  async take(room) {
+    const state = this.rooms.get(room) || null
+    this.rooms.delete(room)
+    return state
+  }
+}
+
+export class RedisRoomStateStore {
+  constructor({ redis, ttlMs, prefix = 'riverflow:room-state' }) {
+    this.redis = redis
+    this.ttlMs = ttlMs
+    this.prefix = prefix
+  }
+
+  _key(room) {
+    return `${this.prefix}:${room}`
+  }
+
+  async saveAll(rooms) {
+    if (rooms.size === 0) return
+    const multi = this.redis.multi()
+    for (const [room, state] of rooms) multi.set(this._key(room), JSON.stringify(state), 'PX', this.ttlMs)
+    await multi.exec()
+  }
+
+  async take(room) {
+    const [[, raw]] = await this.redis.multi().get(this._key(room)).del(this._key(room)).exec()
+    return raw ? JSON.parse(raw) : null
+  }
+}
+
+export function createRoomStateStore({ redis = null, file, ttlMs = 10 * 60 * 1000 } = {}) {
+  if (redis) return new RedisRoomStateStore({ redis, ttlMs })
+  return new FileRoomStateStore({ file })
+}
+
+export default createRoomStateStore
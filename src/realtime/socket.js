@@ -3,11 +3,82 @@ import { createAdapter } from '@socket.io/redis-adapter'
 import Redis from 'ioredis'
 import jwt from 'jsonwebtoken'
 import { config } from '../config/app.config.js'
+import { getRedisClient } from '../config/redis.config.js'
+import { authorizeEvent, grantRoomAccess, roomAccess, resolvePacketRoom } from './authorization.js'
+import { featureRoom, hasFeature, joinRoom } from './features.js'
+import {
+  MindmapDocument,
+  nodeChangesToOps,
+  edgeChangesToOps,
+  connectionToOps,
+  itemUpdateToOps,
+  viewportToOps,
+} from './document.js'
+import { createPresenceStore } from './presence.js'
+import { createHistoryStore } from './history.js'
+import { diffToDocumentOps } from './diff.js'
+import { isClustered } from './cluster.js'
+import { applyPermissionChange } from './permissions.js'
+import { getAiStreamStore, cancelAiStream } from './ai-stream.js'
+import { createReplayLog, RESYNC } from './replay.js'
+import { createRateLimiter, rateLimitEvents, DEFAULT_RATE_LIMITS, parseRateLimits, getRateLimitStats } from './rate-limit.js'
+import { validatePayloads, EVENT_SCHEMAS } from './validation.js'
+import { createChatStore, newMessageId, resolveMentions, toggleReaction, notifyOfflineMentions } from './chat.js'
+import { createLockStore, enforceLocks } from './locks.js'
+import { fetchMindmap, fetchPublicMindmap, invalidateMindmap, probeBackend, getBackendStatus, BackendError, BackendUnavailableError } from './backend-client.js'
+import { createHistoryOutbox, startHistoryOutboxWorker, newIdempotencyKey } from './history-outbox.js'
+import { listThreads, createThread, addReply, updateThread, orphanNodeThreads, removedNodeIds } from './comments.js'
+import { wireParser, applyWireFormat, wireFormatOf } from './wire-format.js'
+import { defineCounter, defineGauge, onCollect } from './metrics.js'
+import { registerReadinessCheck, pingRedis, setDraining, isDraining } from './health.js'
+import { createRoomStateStore } from './room-state.js'
+import { createAutosaveStore, createAutosaver, saveMindmap } from './autosave.js'
+import { logger, socketLogger } from '../logger.js'
 
-export function initRealtimeServer(httpServer) {
+// Cursor positions are relayed (batched through the buffer when given) but persisted at most this often
+const CURSOR_PERSIST_INTERVAL_MS = 250
+
+const metrics = {
+  sockets: defineGauge('realtime_connected_sockets', 'Sockets connected to this instance'),
+  rooms: defineGauge('realtime_rooms', 'Mindmap rooms with a socket on this instance'),
+  participants: defineGauge('realtime_room_participants', 'Sockets of a room on this instance'),
+  eventsIn: defineCounter('realtime_events_in_total', 'Events received from clients, by event'),
+  eventsOut: defineCounter('realtime_events_out_total', 'Events sent to clients, by event (a broadcast counts once per receiver)'),
+  historyLog: defineCounter('realtime_history_log_total', 'Backend history deliveries, by result'),
+  outboxPending: defineGauge('realtime_history_outbox_pending', 'History entries waiting for delivery'),
+  outboxDead: defineGauge('realtime_history_outbox_dead', 'History entries that gave up delivery'),
+  rateLimited: defineCounter('realtime_rate_limited_total', 'Events rejected by the rate limiter, by event'),
+  rateLimitDisconnects: defineCounter('realtime_rate_limit_disconnects_total', 'Sockets disconnected for repeated throttling'),
+  backendCircuitOpen: defineGauge('realtime_backend_circuit_open', '1 while calls to the backend fail fast'),
+}
+
+// Drain sequence of each server returned by initRealtimeServer(), see drainRealtimeServer()
+const drains = new WeakMap()
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Drag moves a node in many `position` changes; the last one has `dragging: false`
+const isDragPosition = (ch) => ch && ch.type === 'position' && ch.id && ch.position && typeof ch.dragging === 'boolean'
+
+// Packets superseded by the client's next one: cursor moves, and drags short of their final position
+const isVolatilePacket = ([event, , data]) => event === 'cursor:move' ||
+  (event === 'mindmap:nodes:change' && Array.isArray(data) && data.length > 0 && data.every((ch) => isDragPosition(ch) && ch.dragging))
+
+/**
+ * @param {import('http').Server} httpServer
+ * @param {object} [options]
+ * @param {import('../buffer.js').Buffer|null} [options.buffer] - when given, cursors and node drags
+ *   are coalesced into `room:frame` batches for clients with the `frames` feature
+ */
+export function initRealtimeServer(httpServer, { buffer = null } = {}) {
+  // Only messages above the threshold are worth the deflate CPU, i.e. snapshots and large change sets
+  const compression = config.wireCompressionEnabled ? { threshold: config.wireCompressionThreshold } : false
   const io = new Server(httpServer, {
     cors: { origin: config.corsOrigins, credentials: true },
     path: '/socket.io',
+    perMessageDeflate: compression,
+    httpCompression: compression,
+    ...(config.wireMsgpackEnabled ? { parser: wireParser } : {}),
   })
 
   // Setup Redis adapter for horizontal scaling
@@ -16,25 +87,339 @@ export function initRealtimeServer(httpServer) {
       const pubClient = new Redis(config.redisUrl)
       const subClient = pubClient.duplicate()
 
-      pubClient.on('error', (err) => console.error('[Socket.IO] Redis Pub Client Error:', err.message))
-      subClient.on('error', (err) => console.error('[Socket.IO] Redis Sub Client Error:', err.message))
-      pubClient.on('connect', () => console.log('[Socket.IO] Redis adapter connected.'))
+      pubClient.on('error', (err) => logger.error('socket.io: redis pub client error', err))
+      subClient.on('error', (err) => logger.error('socket.io: redis sub client error', err))
+      pubClient.on('connect', () => logger.info('socket.io: redis adapter connected'))
 
       io.adapter(createAdapter(pubClient, subClient))
-      console.log('[Socket.IO] Redis adapter enabled for horizontal scaling.')
+      logger.info('socket.io: redis adapter enabled for horizontal scaling')
+
+      registerReadinessCheck('redisPubSub', async () => {
+        const [pub, sub] = await Promise.all([pingRedis(pubClient), pingRedis(subClient)])
+        return { ok: pub.ok && sub.ok, pub: pub.status, sub: sub.status }
+      })
     } catch (err) {
-      console.warn('[Socket.IO] Redis adapter failed, using in-memory adapter:', err.message)
+      logger.warn('socket.io: redis adapter failed, using in-memory adapter', err)
     }
   } else {
-    console.log('[Socket.IO] Using in-memory adapter (no Redis configured).')
+    logger.info('socket.io: using in-memory adapter (no Redis configured)')
+  }
+
+  if (getRedisClient()) registerReadinessCheck('redis', () => pingRedis(getRedisClient()))
+  registerReadinessCheck('backend', probeBackend)
+
+  // Presence lives in Redis when enabled so every instance sees the whole room
+  const roomParticipants = createPresenceStore({ redis: getRedisClient(), ttlMs: config.presenceTtlMs })
+
+  // History storage per room for undo/redo, shared through Redis when enabled
+  const roomHistory = createHistoryStore({
+    redis: getRedisClient(),
+    maxSize: config.historyMaxSize,
+    idleTtlMs: config.historyIdleTtlMs,
+    checkpointEvery: config.historyCheckpointEvery,
+  })
+  const historyEvictTimer = setInterval(async () => {
+    try {
+      const evicted = await roomHistory.evictIdle()
+      if (evicted > 0) logger.info('history: evicted idle rooms', { rooms: evicted })
+    } catch (e) {
+      logger.error('history: eviction failed', e)
+    }
+  }, 60 * 1000)
+  httpServer.on('close', () => clearInterval(historyEvictTimer))
+
+  const realtime = io.of('/realtime')
+
+  // Replayable room broadcasts carry a trailing { room, seq } argument so a
+  // reconnecting client can ask for exactly what it missed
+  const replayLog = createReplayLog({
+    redis: getRedisClient(),
+    maxEvents: config.replayMaxEvents,
+    maxBytes: config.replayMaxBytes,
+    ttlMs: config.replayTtlMs,
+  })
+
+  // `replayAs` is what the replay log keeps instead of the payload; RESYNC
+  // makes a client that missed the event reload the document. `feature`
+  // sends the event only to the sockets with that feature, `withoutFeature`
+  // only to the others; replays honour both. With Redis the event goes out
+  // once the log has numbered it; if that fails it goes out unnumbered.
+  const broadcastToRoom = (room, event, payload, { except = null, replayAs = payload, feature = null, withoutFeature = null } = {}) => {
+    const audience = feature ? { feature } : withoutFeature ? { withoutFeature } : {}
+    const emit = (seq) => {
+      const to = feature ? featureRoom(feature, room) : room
+      let target = except ? except.broadcast.to(to) : realtime.to(to)
+      if (withoutFeature) target = target.except(featureRoom(withoutFeature, room))
+      target.emit(event, payload, { room, seq })
+    }
+    const failed = (e) => {
+      logger.error('replay: append failed', { room, event, err: e })
+      emit(null)
+    }
+    let seq
+    try {
+      seq = replayLog.append(room, { event, payload: replayAs, origin: except?.id || null, ...audience })
+    } catch (e) {
+      return failed(e)
+    }
+    if (typeof seq?.then === 'function') seq.then(emit, failed)
+    else emit(seq)
+  }
+
+  const isAudience = (socket, { feature, withoutFeature }) =>
+    (!feature || hasFeature(socket, feature)) && (!withoutFeature || !hasFeature(socket, withoutFeature))
+
+  // Chat history per room, shared through Redis when enabled
+  const roomChat = createChatStore({
+    redis: getRedisClient(),
+    maxMessages: config.chatMaxMessages,
+    ttlMs: config.chatTtlMs,
+  })
+
+  // Backend history entries go through a durable outbox
+  const historyOutbox = createHistoryOutbox({ redis: getRedisClient(), file: config.historyOutboxFile })
+  const historyOutboxWorker = startHistoryOutboxWorker(historyOutbox, {
+    intervalMs: config.historyOutboxIntervalMs,
+    batchSize: config.historyOutboxBatchSize,
+    maxAttempts: config.historyOutboxMaxAttempts,
+    baseDelayMs: config.historyOutboxBaseDelayMs,
+    maxDelayMs: config.historyOutboxMaxDelayMs,
+    onDelivered: (entry) => {
+      metrics.historyLog.inc({ result: 'delivered' })
+      if (!entry.room) return
+      const logged = {
+        id: null,
+        mindmapId: entry.mindmapId,
+        mysqlUserId: entry.userId,
+        action: entry.body.action,
+        changes: entry.body.changes,
+        snapshot: entry.body.snapshot,
+        metadata: entry.body.metadata,
+        createdAt: entry.createdAt,
+        status: entry.body.status,
+      }
+      // Replayed without its snapshot, which the backend keeps
+      broadcastToRoom(entry.room, 'history:log', logged, { replayAs: { ...logged, snapshot: null } })
+    },
+    onRetry: () => metrics.historyLog.inc({ result: 'retried' }),
+    onDeadLetter: (entry) => {
+      metrics.historyLog.inc({ result: 'dead_lettered' })
+      if (!entry.room) return
+      realtime.to(entry.room).emit('history:log:error', { mindmapId: entry.mindmapId, action: entry.body.action, code: entry.lastStatus })
+    },
+  })
+  httpServer.on('close', () => historyOutboxWorker.stop())
+
+  // Element leases, in Redis when enabled so every instance enforces them
+  const roomLocks = createLockStore({ redis: getRedisClient() })
+
+  const releaseLocks = (room, clientId, reason) => {
+    roomLocks.releaseAll(room, clientId)
+      .then((released) => {
+        for (const lock of released) broadcastToRoom(room, 'lock:released', { room, kind: lock.kind, id: lock.id, reason })
+      })
+      .catch((e) => logger.error('lock: release failed', { clientId, room, err: e }))
+  }
+
+  // Event buckets live in Redis when enabled so limits hold across instances
+  const rateLimiter = createRateLimiter({ redis: getRedisClient() })
+  const rateLimits = { ...DEFAULT_RATE_LIMITS, ...parseRateLimits(config.rateLimits) }
+
+  // Authoritative document per room, merged from every client's changes
+  const roomDocuments = new Map()
+  // Documents and memory history saved by a draining instance
+  const roomState = createRoomStateStore({ redis: getRedisClient(), file: config.roomStateFile, ttlMs: config.roomStateTtlMs })
+
+  // Autosave mode per room, and the backend saves it drives
+  const roomAutosave = createAutosaveStore({ redis: getRedisClient() })
+  const autosaver = createAutosaver({
+    debounceMs: config.autosaveDebounceMs,
+    maxWaitMs: config.autosaveMaxWaitMs,
+    getMode: (room) => roomAutosave.get(room),
+    // `clock` is how far the document had got when the snapshot was taken
+    snapshotOf: (room) => {
+      const doc = roomDocuments.get(room)
+      return doc && doc.seeded ? { ...doc.toSnapshot(), clock: doc.clock } : null
+    },
+    save: async (room, snapshot, credentials) => {
+      const mindmapId = room.slice('mindmap:'.length)
+      await saveMindmap(mindmapId, snapshot, credentials)
+      // Cached lookups would seed new replicas with the old document
+      await invalidateMindmap(mindmapId)
+      roomDocuments.get(room)?.pruneTombstones(snapshot.clock)
+    },
+    onStatus: (room, status, details = {}) => {
+      realtime.to(room).emit('autosave:status', { room, status, ...details, at: Date.now() })
+    },
+  })
+
+  // Opening a document waits on peers and saved state. Edits that arrive
+  // meanwhile, e.g. right after a join was granted, are queued and merged in
+  // order once it is open: stamped earlier, they would lose to the state the
+  // document is about to take in.
+  const openingDocuments = new Map() // room -> { promise, pending: Array<(doc) => void> }
+
+  const openRoomDocument = (room) => {
+    if (openingDocuments.has(room)) return openingDocuments.get(room).promise
+    const opening = { promise: null, pending: [] }
+    openingDocuments.set(room, opening)
+    opening.promise = (async () => {
+      const doc = new MindmapDocument({ room })
+      // Another instance may already hold newer merged state for this room
+      if (isClustered(realtime)) {
+        try {
+          const states = await realtime.timeout(1000).serverSideEmitWithAck('doc:sync', room)
+          for (const state of states) doc.mergeState(state)
+        } catch (e) {
+          logger.warn('doc: sync from peers failed', { room, err: e })
+        }
+      }
+      try {
+        const saved = await roomState.take(room)
+        if (saved) {
+          doc.mergeState(saved.doc)
+          await roomHistory.importRoom(room, saved.history)
+        }
+      } catch (e) {
+        logger.warn('room-state: restore failed', { room, err: e })
+      }
+      roomDocuments.set(room, doc)
+      openingDocuments.delete(room)
+      for (const merge of opening.pending) merge(doc)
+      return doc
+    })()
+    return opening.promise
+  }
+
+  const ensureRoomDocument = async (room, snapshot) => {
+    const doc = roomDocuments.get(room) || await openRoomDocument(room)
+    if (!doc.seeded && snapshot) doc.seed(snapshot)
+    return doc
   }
 
-  const roomParticipants = new Map()
+  // Run `merge` on the room's document, after it is opened if need be
+  const withRoomDocument = (room, merge) => {
+    const doc = roomDocuments.get(room)
+    if (doc) return merge(doc)
+    openRoomDocument(room)
+    openingDocuments.get(room).pending.push(merge)
+  }
+
+  // `except` is the socket the ops came from, which has them already
+  const applyDocumentOps = (room, ops, { fromPeer = false, except = null } = {}) => {
+    const doc = roomDocuments.get(room)
+    if (!doc || ops.length === 0) return []
+    const effective = doc.apply(ops)
+    if (effective.length === 0 || fromPeer) return effective
+    broadcastToRoom(room, 'mindmap:doc:ops', { room, ops: effective }, { except, feature: 'doc-ops' })
+    if (isClustered(realtime)) realtime.serverSideEmit('doc:ops', room, effective)
+    return effective
+  }
+
+  // Keep the replicas on other instances converged
+  realtime.on('doc:ops', (room, ops) => {
+    const opening = openingDocuments.get(room)
+    if (opening) opening.pending.push(() => applyDocumentOps(room, ops, { fromPeer: true }))
+    else applyDocumentOps(room, ops, { fromPeer: true })
+  })
+  realtime.on('doc:sync', (room, cb) => {
+    const doc = roomDocuments.get(room)
+    cb(doc && doc.seeded ? doc.exportState() : null)
+  })
+
+  // Backend permission changes, run on every instance through runOnCluster()
+  realtime.on('permission:change', (change, cb) => {
+    invalidateMindmap(change.mindmapId)
+    const result = applyPermissionChange(realtime, change, {
+      onRevoke: (socket, room) => {
+        releaseLocks(room, socket.id, 'revoked')
+        roomParticipants.remove(room, socket.id)
+          .then((removed) => { if (removed) broadcastToRoom(room, 'presence:left', { clientId: socket.id }) })
+          .catch((e) => socketLogger(socket, { room }).error('presence: revoke failed', e))
+      },
+    })
+    if (result.updated || result.revoked) {
+      logger.info('permission: applied', { eventType: change.eventType, room: change.room, updated: result.updated, revoked: result.revoked })
+    }
+    cb(result)
+  })
+
+  // Admin API operations, answered by every instance for its own state and sockets
+  realtime.on('admin:room', (room, cb) => {
+    Promise.all([roomParticipants.list(room), roomHistory.depth(room)])
+      .then(([participants, history]) => cb({ participants, history }))
+      .catch((e) => {
+        logger.error('admin: room lookup failed', { room, err: e })
+        cb({ participants: [], history: [] })
+      })
+  })
+  realtime.on('admin:resync', (room, cb) => {
+    const doc = roomDocuments.get(room)
+    const state = doc && doc.seeded ? doc.toSnapshot() : null
+    realtime.local.to(room).emit('room:resync', { room, reason: 'admin', state })
+    cb({ sockets: realtime.adapter.rooms.get(room)?.size || 0 })
+  })
+  realtime.on('admin:history:clear', (room, cb) => {
+    roomHistory.clear(room)
+      .then((cleared) => {
+        realtime.local.to(room).emit('history:state', { room, canUndo: false, canRedo: false })
+        cb({ cleared })
+      })
+      .catch((e) => {
+        logger.error('admin: history clear failed', { room, err: e })
+        cb({ cleared: false })
+      })
+  })
+
+  // Keep our participants alive and expire the ones whose instance went away
+  const presenceTimer = setInterval(async () => {
+    const clientIdsByRoom = new Map()
+    for (const s of realtime.sockets.values()) {
+      for (const r of Object.keys(s.data.access || {})) {
+        if (!clientIdsByRoom.has(r)) clientIdsByRoom.set(r, [])
+        clientIdsByRoom.get(r).push(s.id)
+      }
+    }
+    for (const [room, clientIds] of clientIdsByRoom) {
+      try {
+        await roomParticipants.heartbeat(room, clientIds)
+        const expired = await roomParticipants.sweep(room)
+        for (const clientId of expired) {
+          logger.info('presence: expired', { clientId, room })
+          broadcastToRoom(room, 'presence:left', { clientId })
+        }
+        for (const lock of await roomLocks.sweep(room)) {
+          broadcastToRoom(room, 'lock:released', { room, kind: lock.kind, id: lock.id, reason: 'expired' })
+        }
+      } catch (e) {
+        logger.error('presence: heartbeat failed', { room, err: e })
+      }
+    }
+  }, config.presenceHeartbeatMs)
+  httpServer.on('close', () => clearInterval(presenceTimer))
 
-  // History storage per room for undo/redo
-  // Each room has { past: [], future: [], currentSnapshot: null }
-  const roomHistory = new Map()
-  const MAX_HISTORY_SIZE = 50
+  if (config.wireMsgpackEnabled) io.of('/realtime').use(applyWireFormat)
+
+  onCollect(async () => {
+    metrics.sockets.set({}, realtime.sockets.size)
+    metrics.participants.reset()
+    let rooms = 0
+    for (const [room, sids] of realtime.adapter.rooms) {
+      if (!room.startsWith('mindmap:')) continue
+      rooms += 1
+      metrics.participants.set({ room }, sids.size)
+    }
+    metrics.rooms.set({}, rooms)
+
+    const rateLimit = getRateLimitStats()
+    for (const [event, n] of Object.entries(rateLimit.byEvent)) metrics.rateLimited.set({ event }, n)
+    metrics.rateLimitDisconnects.set({}, rateLimit.disconnected)
+    metrics.backendCircuitOpen.set({}, getBackendStatus().state === 'closed' ? 0 : 1)
+
+    const outbox = await historyOutbox.stats()
+    metrics.outboxPending.set({}, outbox.pending)
+    metrics.outboxDead.set({}, outbox.dead)
+  })
 
   io.of('/realtime').use((socket, next) => {
     try {
@@ -52,75 +437,143 @@ export function initRealtimeServer(httpServer) {
   })
 
   io.of('/realtime').on('connection', (socket) => {
-    try {
-      const origin = socket.handshake.headers?.origin || 'unknown'
-      const uid = socket.data.user?.id || 'anonymous'
-      console.log(`[socket] connected id=${socket.id} origin=${origin} userId=${uid}`)
-    } catch { }
-    const lastSnapshotAtByRoom = new Map()
+    // Entries carry the socket, its user and current room, plus the event handled
+    const log = (event = null) => socketLogger(socket, { event })
+    log('connection').info('socket: connected', {
+      origin: socket.handshake.headers?.origin || 'unknown',
+      format: wireFormatOf(socket),
+    })
+    // Unknown event names share one label so clients cannot inflate the metric
+    socket.use((packet, next) => {
+      metrics.eventsIn.inc({ event: EVENT_SCHEMAS[packet[0]] ? packet[0] : 'other' })
+      next()
+    })
+    socket.onAnyOutgoing((event) => metrics.eventsOut.inc({ event }))
+    if (config.rateLimitEnabled) {
+      socket.use(rateLimitEvents(socket, rateLimiter, {
+        limits: rateLimits,
+        maxViolations: config.rateLimitMaxViolations,
+        violationWindowMs: config.rateLimitViolationWindowMs,
+        userFactor: config.rateLimitUserFactor,
+        isVolatile: isVolatilePacket,
+      }))
+    }
+    socket.use(authorizeEvent(socket))
+    socket.use(validatePayloads(socket))
+    socket.use(enforceLocks(socket, roomLocks, {
+      ttlMs: config.lockTtlMs,
+      resolveRoom: (packet) => resolvePacketRoom(socket, packet),
+    }))
+    // Undo/redo is scoped to the author: the signed-in user, or this client
+    const historyAuthor = () => String(socket.data.user?.id || socket.id)
 
     socket.on('mindmap:join', async (payload) => {
+      // A draining instance takes no new rooms; the client retries elsewhere
+      if (isDraining()) {
+        socket.emit('server:draining', drainNotice(0))
+        return
+      }
       try {
-        const { mindmapId, shareToken } = payload || {}
+        const { shareToken } = payload || {}
+        // The schema takes numeric ids too
+        const mindmapId = payload?.mindmapId != null ? String(payload.mindmapId) : null
         let room = null
         let canEdit = false
         let ok = false
+        let mindmapData = null
+        let access = null
 
         // Support for user-based rooms (for AI streaming)
         if (mindmapId && mindmapId.startsWith('user:')) {
-          // User rooms don't need backend validation
-          // They're used for AI streaming events
+          // A user room is private to the authenticated user it is named after
+          const ownerId = mindmapId.slice(5)
+          if (!socket.data.user?.id || String(socket.data.user.id) !== ownerId) {
+            log('mindmap:join').warn('join: refused user room', { mindmapId })
+            return
+          }
           room = mindmapId
           canEdit = false // User rooms are read-only for AI events
           ok = true
-          socket.join(room)
-          socket.data.room = room
-          socket.data.canEdit = canEdit
+          // Not made the socket's default room: events without a room stay on its mindmap
+          joinRoom(socket, room)
+          grantRoomAccess(socket, room, { canEdit })
           socket.emit('mindmap:joined', { room, canEdit })
-          console.log(`[join] user-room=${room} id=${socket.id} (AI streaming)`)
+          log('mindmap:join').info('join: joined user room (AI streaming)')
           return
         }
 
         if (config.backendUrl) {
           if (shareToken) {
-            const res = await fetch(`${config.backendUrl}/mindmaps/public/${shareToken}`)
+            const res = await fetchPublicMindmap(shareToken)
             ok = res.ok
             if (ok) {
-              const data = await res.json()
+              const data = res.data
               room = `mindmap:${data.id}`
               canEdit = data.publicAccessLevel === 'edit'
-              socket.data.mindmapId = data.id
-              socket.data.shareToken = shareToken
+              mindmapData = data
+              access = { mindmapId: String(data.id), shareToken }
             }
           } else if (mindmapId) {
-            const token = socket.handshake.auth?.token
-            const headers = token ? { Authorization: `Bearer ${token}` } : {}
-            const res = await fetch(`${config.backendUrl}/mindmaps/${mindmapId}`, { headers })
+            const res = await fetchMindmap(mindmapId, socket.handshake.auth?.token)
             ok = res.ok
             if (ok) {
-              const data = await res.json()
+              const data = res.data
               room = `mindmap:${data.id}`
               canEdit = true
-              socket.data.mindmapId = data.id
-              socket.data.shareToken = null
+              mindmapData = data
+              access = { mindmapId: String(data.id), shareToken: null }
             }
           }
         }
         if (!room) {
-          console.log(`[join] refused id=${socket.id} token=${shareToken ? 'public' : 'private'} mindmapId=${mindmapId}`)
+          log('mindmap:join').warn('join: refused', { access: shareToken ? 'public' : 'private', mindmapId })
           return
         }
-        socket.join(room)
+        joinRoom(socket, room)
+        grantRoomAccess(socket, room, { canEdit, ...access })
         socket.data.room = room
-        socket.data.canEdit = canEdit
-        socket.emit('mindmap:joined', { room, canEdit })
-        console.log(`[join] room=${room} id=${socket.id} canEdit=${canEdit}`)
-        const participants = roomParticipants.get(room) || new Map()
-        roomParticipants.set(room, participants)
-        const snapshot = Array.from(participants.values())
+        const seq = await replayLog.current(room).catch(() => null)
+        socket.emit('mindmap:joined', { room, canEdit, seq })
+        log('mindmap:join').info('join: joined', { canEdit })
+        // A reconnecting client passes the last sequence it saw
+        if (payload.lastSeq != null) {
+          socket.emit('room:replayed', await replaySince(room, payload.lastSeq, payload.clientId))
+        }
+        const snapshot = await roomParticipants.list(room).catch((e) => {
+          log('mindmap:join').error('presence: list failed', e)
+          return []
+        })
         socket.emit('presence:state', snapshot)
+        const chat = await roomChat.page(room, { limit: config.chatPageSize }).catch((e) => {
+          log('mindmap:join').error('chat: history failed', e)
+          return { messages: [], hasMore: false }
+        })
+        socket.emit('chat:history', { room, ...chat })
+        const locks = await roomLocks.list(room).catch((e) => {
+          log('mindmap:join').error('lock: list failed', e)
+          return []
+        })
+        socket.emit('lock:state', { room, locks })
+        const doc = await ensureRoomDocument(room, {
+          nodes: mindmapData?.nodes || [],
+          edges: mindmapData?.edges || [],
+          viewport: mindmapData?.viewport || null,
+        })
+        socket.emit('mindmap:doc:state', { room, ...doc.toSnapshot() })
+        const autosave = await roomAutosave.get(room).catch((e) => {
+          log('mindmap:join').error('autosave: mode lookup failed', e)
+          return null
+        })
+        if (autosave) socket.emit('autosave:sync', { room, ...autosave })
+        if (canEdit) {
+          const { canUndo, canRedo } = await roomHistory.state(room, historyAuthor())
+          socket.emit('history:state', { room, canUndo, canRedo })
+        }
       } catch (err) {
-        console.log(`[join:error] id=${socket.id} ${err?.message || err}`)
+        log('mindmap:join').error('join: failed', err)
+        if (err instanceof BackendUnavailableError) {
+          socket.emit('realtime:error', { ok: false, code: 'backend_unavailable', error: 'Mindmap service is unavailable, try again shortly', event: 'mindmap:join' })
+        }
       }
     })
 
@@ -139,59 +592,25 @@ export function initRealtimeServer(httpServer) {
       }
     }
 
-    const maybeGetSnapshot = async () => {
-      try {
-        const room = socket.data.room
-        if (!room) return null
-        const lastAt = lastSnapshotAtByRoom.get(room) || 0
-        const now = Date.now()
-        if (now - lastAt < 1000) return null
-        const mindmapId = socket.data.mindmapId
-        if (!mindmapId) return null
-        const shareToken = socket.data.shareToken
-        let res
-        if (shareToken) {
-          res = await fetch(`${config.backendUrl}/mindmaps/public/${shareToken}`)
-        } else {
-          const token = socket.data.token
-          const headers = token ? { Authorization: `Bearer ${token}` } : {}
-          res = await fetch(`${config.backendUrl}/mindmaps/${mindmapId}`, { headers })
-        }
-        if (!res?.ok) return null
-        const data = await res.json()
-        lastSnapshotAtByRoom.set(room, now)
-        return {
-          nodes: data?.nodes || [],
-          edges: data?.edges || [],
-          viewport: data?.viewport || null,
-        }
-      } catch (_) {
-        return null
-      }
-    }
-
     const lastLogAtByRoomAction = new Map()
 
-    const logHistory = async (action, changes, snapshot = null, status = 'active') => {
+    const logHistory = async (room, action, changes, snapshot = null, status = 'active') => {
+      const access = roomAccess(socket, room)
       try {
         if (!config.backendUrl) return
-        if (!socket.data.room) return
-        if (!socket.data.canEdit) return
+        if (!access?.canEdit) return
         const allowed = String(action).startsWith('node_') || String(action).startsWith('edge_') || action === 'delete' || action === 'restore'
         if (!allowed) return
-        const mindmapId = (socket.data.mindmapId) || (String(socket.data.room).split(':')[1])
+        const mindmapId = access.mindmapId || (String(room).split(':')[1])
         if (!mindmapId) return
-        const token = socket.data.token
-        const headers = {
-          'Content-Type': 'application/json',
-          ...(token ? { Authorization: `Bearer ${token}` } : {}),
-        }
-        const key = `${socket.data.room}:${action}`
+        const key = `${room}:${action}`
         const now = Date.now()
         const lastAt = lastLogAtByRoomAction.get(key) || 0
         const minInterval = (action === 'node_update' || action === 'edge_update') ? 1000 : 0
         if (minInterval > 0 && now - lastAt < minInterval) return
-        const snap = snapshot || (await maybeGetSnapshot())
+        // The room's merged document stands in when the caller has no snapshot
+        const doc = roomDocuments.get(room)
+        const snap = snapshot || (doc ? doc.toSnapshot() : null)
         const body = {
           action,
           changes: normalizeChanges(changes),
@@ -203,35 +622,22 @@ export function initRealtimeServer(httpServer) {
           },
           status,
         }
-        const res = await fetch(`${config.backendUrl}/mindmaps/${mindmapId}/history`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(body),
+        // Delivered (and broadcast as history:log) by the outbox worker
+        await historyOutbox.enqueue({
+          key: newIdempotencyKey(),
+          room,
+          mindmapId,
+          userId: socket.data.user?.id || null,
+          ...(config.historySignedDelivery ? {} : { token: socket.data.token || null }),
+          body,
+          attempts: 0,
+          createdAt: new Date().toISOString(),
         })
-        if (!res.ok) {
-          const txt = await res.text()
-          console.log(`[history:log:error] id=${socket.id} action=${action} code=${res.status} msg=${txt}`)
-          socket.emit('history:log:error', { mindmapId, action, code: res.status })
-        }
-        if (res.ok) {
-          lastLogAtByRoomAction.set(key, now)
-          const entry = {
-            id: null,
-            mindmapId,
-            mysqlUserId: socket.data.user?.id || null,
-            action,
-            changes: body.changes,
-            snapshot: body.snapshot,
-            metadata: body.metadata,
-            createdAt: new Date().toISOString(),
-            status,
-          }
-          const room = socket.data.room
-          if (room) io.of('/realtime').to(room).emit('history:log', entry)
-        }
+        lastLogAtByRoomAction.set(key, now)
+        historyOutboxWorker.drain()
       } catch (e) {
-        console.log(`[history:log:error] id=${socket.id} action=${action} msg=${e?.message || e}`)
-        socket.emit('history:log:error', { mindmapId: socket.data.mindmapId || null, action })
+        log('history:log').error('history: log failed', { action, err: e })
+        socket.emit('history:log:error', { mindmapId: access?.mindmapId || null, action })
       }
     }
 
@@ -239,17 +645,141 @@ export function initRealtimeServer(httpServer) {
       try {
         const snapshot = payload?.snapshot || null
         const historyId = payload?.historyId || null
-        io.of('/realtime').to(room).emit('history:restore', { historyId, snapshot })
-        logHistory('restore', { targetHistoryId: historyId }, snapshot)
+        broadcastToRoom(room, 'history:restore', { historyId, snapshot }, { replayAs: RESYNC })
+        logHistory(room, 'restore', { targetHistoryId: historyId }, snapshot)
       } catch (e) {
-        console.log(`[history:restore:error] id=${socket.id} ${e?.message || e}`)
+        log('history:restore').error('history: restore failed', e)
       }
     })
 
     const dragStateByRoom = new Map()
 
+    // ===== AI STREAMS =====
+
+    // Streams may only be driven by the user whose room they are sent to
+    const getOwnedAiStream = async (streamId) => {
+      if (!streamId) return null
+      const meta = await getAiStreamStore().get(String(streamId))
+      if (!meta || !socket.rooms.has(meta.room)) return null
+      if (meta.userId != null && String(meta.userId) !== String(socket.data.user?.id)) return null
+      return meta
+    }
+
+    socket.on('ai:stream:cancel', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => { }
+      try {
+        const streamId = payload?.streamId
+        if (!(await getOwnedAiStream(streamId))) return reply({ ok: false, code: 'not_found', error: 'Unknown stream' })
+        const result = await cancelAiStream(realtime, String(streamId))
+        log('ai:stream:cancel').info('ai: stream cancelled', { streamId, status: result?.status })
+        reply({ ok: !!result?.frame, status: result?.status || null })
+      } catch (e) {
+        log('ai:stream:cancel').error('ai: cancel failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'Cancel failed' })
+      }
+    })
+
+    // Replay frames missed while disconnected: { streamId, lastSeq }
+    socket.on('ai:stream:resume', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => socket.emit('ai:stream:resumed', result)
+      try {
+        const streamId = payload?.streamId
+        const meta = await getOwnedAiStream(streamId)
+        if (!meta) return reply({ ok: false, code: 'not_found', error: 'Unknown stream', streamId })
+        const lastSeq = Number(payload?.lastSeq) || 0
+        const frames = await getAiStreamStore().framesSince(String(streamId), lastSeq)
+        if (!frames) return reply({ ok: false, code: 'gap', error: 'Frames are no longer available', streamId })
+        reply({ ok: true, streamId, status: meta.status, frames })
+      } catch (e) {
+        log('ai:stream:resume').error('ai: resume failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'Resume failed' })
+      }
+    })
+
+    // Events broadcast to a room after `lastSeq`. `clientId` is the socket id
+    // the client had before reconnecting, so its own echoes are left out.
+    const replaySince = async (room, lastSeq, clientId = null) => {
+      try {
+        const { seq, events } = await replayLog.since(room, Number(lastSeq) || 0, (e) => isAudience(socket, e))
+        if (!events) return { ok: false, code: 'resync', error: 'Too many missed events, resync the document', room, seq }
+        return { ok: true, room, seq, events: events.filter((e) => !clientId || e.origin !== clientId) }
+      } catch (e) {
+        log('room:replay').error('replay: failed', { room, err: e })
+        return { ok: false, code: 'resync', error: e?.message || 'Replay failed', room, seq: null }
+      }
+    }
+
+    socket.on('room:replay', async (room, payload, ack) => {
+      const r = (typeof room === 'string' && room) || socket.data.room
+      const result = await replaySince(r, payload?.lastSeq, payload?.clientId)
+      if (typeof ack === 'function') ack(result)
+      else socket.emit('room:replayed', result)
+    })
+
+    // Explicit resync, e.g. after a client detected it drifted
+    socket.on('mindmap:doc:sync', (room, ack) => {
+      const r = (typeof room === 'string' && room) || socket.data.room
+      const doc = roomDocuments.get(r)
+      const state = doc ? { room: r, ...doc.toSnapshot() } : null
+      if (typeof ack === 'function') ack({ ok: !!state, state })
+      else if (state) socket.emit('mindmap:doc:state', state)
+    })
+
+    const mergeIntoDocument = (room, toOps, input) => {
+      if (!room) return
+      withRoomDocument(room, (doc) => {
+        try {
+          const effective = applyDocumentOps(room, toOps(input, doc, socket.id), { except: socket })
+          // The backend takes no writes through share links; those edits go out with the next save an editor triggers
+          if (effective.length > 0 && room.startsWith('mindmap:') && !roomAccess(socket, room)?.shareToken) {
+            autosaver.schedule(room, { token: socket.data.token })
+          }
+        } catch (e) {
+          log('mindmap:doc:ops').error('doc: merge failed', { room, err: e })
+        }
+      })
+    }
+
+    // Peers that take frames get cursors and drags coalesced in `room:frame`,
+    // the others `event` with `payload`, one per update as before.
+    // `frames` are { frame, key, volatile }.
+    const relayTransient = (room, event, payload, frames) => {
+      if (!buffer) {
+        socket.broadcast.to(room).emit(event, payload)
+        return
+      }
+      for (const { frame, key, volatile } of frames) buffer.add(featureRoom('frames', room), 'room:frame', frame, { key, volatile })
+      socket.broadcast.to(room).except(featureRoom('frames', room)).emit(event, payload)
+    }
+
+    // Clients with the `doc-ops` feature get edits as the `mindmap:doc:ops`
+    // they were merged into; the others get the event the editor sent
+    const relayEdit = (room, event, payload) => {
+      broadcastToRoom(room, event, payload, { except: socket, withoutFeature: 'doc-ops' })
+    }
+
+    // Drag positions only move nodes on screen and are not kept in the replay
+    // log: the latest per node goes out in the room's next frame. The final
+    // `dragging: false` position replaces it, reliably, and is merged into the
+    // document like any other change.
+    const relayNodeChanges = (room, changes) => {
+      const drags = changes.filter(isDragPosition)
+      const rest = changes.filter((ch) => !isDragPosition(ch))
+      if (drags.length > 0) {
+        relayTransient(room, 'mindmap:nodes:change', drags, drags.map(({ id, position, dragging }) => ({
+          frame: { kind: 'position', clientId: socket.id, id, position, dragging },
+          key: `node:${id}`,
+          volatile: dragging,
+        })))
+      }
+      if (rest.length > 0) relayEdit(room, 'mindmap:nodes:change', rest)
+    }
+
     socket.on('mindmap:nodes:change', (room, changes) => {
-      socket.broadcast.to(room).emit('mindmap:nodes:change', changes)
+      if (Array.isArray(changes)) relayNodeChanges(room, changes)
+      const settled = Array.isArray(changes) ? changes.filter((ch) => !(isDragPosition(ch) && ch.dragging)) : changes
+      mergeIntoDocument(room, nodeChangesToOps, settled)
+      orphanComments(room, removedNodeIds(changes))
       try {
         if (!room || !Array.isArray(changes)) return
         const trackers = dragStateByRoom.get(room) || new Map()
@@ -267,7 +797,7 @@ export function initRealtimeServer(httpServer) {
           if (dragging === false) {
             const t = trackers.get(id)
             if (t && t.start && t.last && (t.start.x !== t.last.x || t.start.y !== t.last.y)) {
-              logHistory('node_update', { id, from: t.start, to: t.last })
+              logHistory(room, 'node_update', { id, from: t.start, to: t.last })
             }
             trackers.delete(id)
           }
@@ -275,115 +805,195 @@ export function initRealtimeServer(httpServer) {
       } catch (_) { }
     })
     socket.on('mindmap:edges:change', (room, changes) => {
-      socket.broadcast.to(room).emit('mindmap:edges:change', changes)
-      logHistory('edge_update', changes)
+      relayEdit(room, 'mindmap:edges:change', changes)
+      mergeIntoDocument(room, edgeChangesToOps, changes)
+      logHistory(room, 'edge_update', changes)
     })
     socket.on('mindmap:connect', (room, connection) => {
-      socket.broadcast.to(room).emit('mindmap:connect', connection)
-      logHistory('edge_add', connection)
+      relayEdit(room, 'mindmap:connect', connection)
+      mergeIntoDocument(room, connectionToOps, connection)
+      logHistory(room, 'edge_add', connection)
     })
     socket.on('mindmap:viewport', (room, viewport) => {
-      socket.broadcast.to(room).emit('mindmap:viewport', viewport)
+      relayEdit(room, 'mindmap:viewport', viewport)
+      mergeIntoDocument(room, viewportToOps, viewport)
     })
 
     socket.on('mindmap:nodes:update', (room, node) => {
-      socket.broadcast.to(room).emit('mindmap:nodes:update', node)
-      logHistory('node_update', node)
+      relayEdit(room, 'mindmap:nodes:update', node)
+      mergeIntoDocument(room, (item, doc, actor) => itemUpdateToOps('node', item, doc, actor), node)
+      logHistory(room, 'node_update', node)
     })
     socket.on('mindmap:edges:update', (room, edge) => {
-      socket.broadcast.to(room).emit('mindmap:edges:update', edge)
-      logHistory('edge_update', edge)
+      relayEdit(room, 'mindmap:edges:update', edge)
+      mergeIntoDocument(room, (item, doc, actor) => itemUpdateToOps('edge', item, doc, actor), edge)
+      logHistory(room, 'edge_update', edge)
     })
 
+    const persistPresence = (room, field, value) => {
+      roomParticipants.update(room, socket.id, field, value).catch((e) => {
+        log().error('presence: update failed', { field, err: e })
+      })
+    }
+
+    let lastCursorPersistAt = 0
     socket.on('cursor:move', (room, data) => {
-      const participants = roomParticipants.get(room)
-      if (participants) {
-        const p = participants.get(socket.id)
-        if (p) {
-          p.cursor = data?.cursor || null
-        }
+      const now = Date.now()
+      if (now - lastCursorPersistAt >= CURSOR_PERSIST_INTERVAL_MS) {
+        lastCursorPersistAt = now
+        persistPresence(room, 'cursor', data?.cursor || null)
       }
-      socket.broadcast.to(room).emit('cursor:move', data)
+      relayTransient(room, 'cursor:move', data, [{ frame: { ...data, kind: 'cursor', clientId: socket.id }, key: `cursor:${socket.id}`, volatile: true }])
     })
 
-    socket.on('presence:announce', (room, info) => {
-      const participants = roomParticipants.get(room) || new Map()
-      roomParticipants.set(room, participants)
+    socket.on('presence:announce', async (room, info) => {
       const clientId = socket.id
       const userId = socket.data.user?.id || info?.userId || null
       const name = info?.name || ''
       const color = info?.color || '#3b82f6'
       const avatar = info?.avatar || null
-      const existing = participants.get(clientId) || {}
-      participants.set(clientId, {
-        clientId,
-        userId,
-        name,
-        color,
-        avatar,
-        cursor: existing.cursor || null,
-        active: existing.active || null,
-      })
-      console.log(`[presence] announce clientId=${clientId} userId=${userId} name=${name}`)
-      socket.broadcast.to(room).emit('presence:announce', { clientId, userId, name, color, avatar })
+      // Kept on the socket so chat can label messages without a store lookup
+      socket.data.profile = { name, color, avatar }
+      try {
+        await roomParticipants.upsert(room, { clientId, userId, name, color, avatar })
+        // Only verified users become mentionable members
+        if (socket.data.user?.id && name) await roomChat.addMember(room, socket.data.user.id, name)
+      } catch (e) {
+        log('presence:announce').error('presence: announce failed', e)
+      }
+      log('presence:announce').info('presence: announced', { room, announcedUserId: userId, name })
+      broadcastToRoom(room, 'presence:announce', { clientId, userId, name, color, avatar }, { except: socket })
     })
 
     socket.on('presence:active', (room, data) => {
-      const participants = roomParticipants.get(room)
-      if (participants) {
-        const p = participants.get(socket.id)
-        if (p) {
-          p.active = data || null
-        }
-      }
-      console.log(`[presence] active clientId=${socket.id} type=${data?.type || 'none'} id=${data?.id || ''}`)
-      socket.broadcast.to(room).emit('presence:active', { clientId: socket.id, active: data || null })
+      persistPresence(room, 'active', data || null)
+      log('presence:active').sampled().debug('presence: active', { room, type: data?.type || 'none', id: data?.id })
+      broadcastToRoom(room, 'presence:active', { clientId: socket.id, active: data || null }, { except: socket })
     })
 
     socket.on('presence:clear', (room) => {
-      const participants = roomParticipants.get(room)
-      if (participants) {
-        const p = participants.get(socket.id)
-        if (p) {
-          p.active = null
-        }
-      }
-      console.log(`[presence] clear clientId=${socket.id}`)
-      socket.broadcast.to(room).emit('presence:clear', { clientId: socket.id })
+      persistPresence(room, 'active', null)
+      log('presence:clear').debug('presence: cleared', { room })
+      broadcastToRoom(room, 'presence:clear', { clientId: socket.id }, { except: socket })
     })
 
-    socket.on('chat:message', (room, payload) => {
+    const chatReply = (ack) => (typeof ack === 'function' ? ack : () => { })
+
+    // Mentioned members who are not in the room right now get a backend notification
+    const notifyMentions = async (room, message) => {
+      if (!config.chatMentionNotify) return
+      const others = message.mentions.map((m) => m.userId).filter((id) => id !== String(message.userId))
+      if (others.length === 0) return
+      const online = new Set((await roomParticipants.list(room)).map((p) => String(p.userId)))
+      const userIds = others.filter((id) => !online.has(id))
+      const mindmapId = roomAccess(socket, room)?.mindmapId
+      if (!mindmapId) return
+      await notifyOfflineMentions({ mindmapId, message, userIds, token: socket.data.token })
+    }
+
+    socket.on('chat:message', async (room, payload, ack) => {
+      const reply = chatReply(ack)
       try {
         const r = room || socket.data.room
         if (!r) return
-        const participants = roomParticipants.get(r)
-        const info = participants ? participants.get(socket.id) : null
+        const info = socket.data.profile || null
         const text = (payload && (payload.text || payload.message)) || ''
         const trimmed = String(text).trim()
-        if (!trimmed) return
+        if (!trimmed) return reply({ ok: false, code: 'empty', error: 'Message is empty' })
         const msg = {
-          id: `${socket.id}-${Date.now()}`,
+          id: newMessageId(),
           room: r,
           clientId: socket.id,
           userId: socket.data.user?.id || null,
+          author: historyAuthor(),
           name: (info && info.name) || 'Anonymous',
           color: (info && info.color) || '#3b82f6',
           avatar: (info && info.avatar) || null,
           message: trimmed,
+          mentions: resolveMentions(trimmed, await roomChat.members(r)),
+          reactions: {},
           createdAt: new Date().toISOString(),
+          editedAt: null,
+          deleted: false,
         }
-        io.of('/realtime').to(r).emit('chat:message', msg)
+        await roomChat.add(r, msg)
+        broadcastToRoom(r, 'chat:message', msg)
+        reply({ ok: true, message: msg })
+        notifyMentions(r, msg).catch((e) => log('chat:message').error('chat: mention notification failed', e))
+      } catch (e) {
+        log('chat:message').error('chat: send failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'Message failed' })
+      }
+    })
+
+    // Older pages: { before: messageId, limit }
+    socket.on('chat:history', async (room, payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => socket.emit('chat:history', result)
+      try {
+        const r = room || socket.data.room
+        const limit = Math.min(Number(payload?.limit) || config.chatPageSize, config.chatPageSize)
+        const page = await roomChat.page(r, { before: payload?.before || null, limit })
+        reply({ ok: true, room: r, ...page })
       } catch (e) {
-        console.log(`[chat:error] id=${socket.id} ${e?.message || e}`)
+        log('chat:history').error('chat: history failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'History failed' })
       }
     })
 
+    // Apply `mutate` to one of the room's messages and broadcast the result
+    const changeMessage = async (room, id, ack, { ownOnly, event, mutate }) => {
+      const reply = chatReply(ack)
+      try {
+        const r = room || socket.data.room
+        if (!r) return
+        let refusal = null
+        const updated = await roomChat.update(r, id, (message) => {
+          if (message.deleted) refusal = { code: 'not_found', error: 'Message was deleted' }
+          else if (ownOnly && message.author !== historyAuthor()) refusal = { code: 'forbidden', error: 'Only the author can change this message' }
+          return refusal ? null : mutate(message)
+        })
+        if (refusal) return reply({ ok: false, ...refusal })
+        if (!updated) return reply({ ok: false, code: 'not_found', error: 'Unknown message' })
+        broadcastToRoom(r, event, event === 'chat:deleted' ? { room: r, id } : updated)
+        reply({ ok: true, message: updated })
+        return updated
+      } catch (e) {
+        log(event).error('chat: update failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'Change failed' })
+      }
+    }
+
+    socket.on('chat:edit', async (room, payload, ack) => {
+      const r = room || socket.data.room
+      const text = String(payload?.text || '').trim()
+      if (!text) return chatReply(ack)({ ok: false, code: 'empty', error: 'Message is empty' })
+      const members = await roomChat.members(r).catch(() => [])
+      const updated = await changeMessage(r, payload.id, ack, {
+        ownOnly: true,
+        event: 'chat:updated',
+        mutate: (message) => ({ ...message, message: text, mentions: resolveMentions(text, members), editedAt: new Date().toISOString() }),
+      })
+      if (updated) notifyMentions(r, updated).catch((e) => log('chat:edit').error('chat: mention notification failed', e))
+    })
+
+    socket.on('chat:delete', (room, payload, ack) => changeMessage(room, payload.id, ack, {
+      ownOnly: true,
+      event: 'chat:deleted',
+      mutate: (message) => ({ ...message, message: '', mentions: [], reactions: {}, deleted: true, editedAt: new Date().toISOString() }),
+    }))
+
+    // Toggles the caller's reaction
+    socket.on('chat:react', (room, payload, ack) => changeMessage(room, payload.id, ack, {
+      ownOnly: false,
+      event: 'chat:updated',
+      mutate: (message) => toggleReaction(message, payload.emoji, historyAuthor()),
+    }))
+
     socket.on('chat:typing', (room, payload) => {
       try {
         const r = room || socket.data.room
         if (!r) return
-        const participants = roomParticipants.get(r)
-        const info = participants ? participants.get(socket.id) : null
+        const info = socket.data.profile || null
         const isTyping = !!(payload && payload.isTyping === true)
         const data = {
           room: r,
@@ -397,165 +1007,216 @@ export function initRealtimeServer(httpServer) {
         }
         io.of('/realtime').to(r).emit('chat:typing', data)
       } catch (e) {
-        console.log(`[chat:typing:error] id=${socket.id} ${e?.message || e}`)
+        log('chat:typing').error('chat: typing failed', e)
       }
     })
 
-    // Handle auto-save mode sync - broadcast to all clients in room
-    socket.on('autosave:toggle', (room, payload) => {
+    // ===== ELEMENT LOCKS =====
+
+    // Claim (or renew) a lease on a node or edge: { kind, id }
+    socket.on('lock:acquire', async (room, payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => { if (!result.ok) socket.emit('realtime:error', { ...result, event: 'lock:acquire' }) }
       try {
         const r = room || socket.data.room
-        if (!r) return
-        const enabled = payload?.enabled === true
-        io.of('/realtime').to(r).emit('autosave:sync', {
-          enabled,
+        const holder = {
+          kind: payload.kind,
+          id: payload.id,
           clientId: socket.id,
           userId: socket.data.user?.id || null,
-          at: Date.now(),
-        })
-        console.log(`[autosave] room=${r} enabled=${enabled} by clientId=${socket.id}`)
+          name: socket.data.profile?.name || null,
+        }
+        const result = await roomLocks.acquire(r, holder, config.lockTtlMs)
+        if (!result.granted) return reply({ ok: false, code: 'locked', error: 'Already being edited', lock: result.lock })
+        if (!result.renewed) broadcastToRoom(r, 'lock:acquired', { room: r, lock: result.lock }, { except: socket })
+        reply({ ok: true, lock: result.lock })
       } catch (e) {
-        console.log(`[autosave:error] id=${socket.id} ${e?.message || e}`)
+        log('lock:acquire').error('lock: acquire failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'Lock failed' })
       }
     })
 
-    // ===== REALTIME UNDO/REDO SYSTEM =====
-
-    // Helper: Get or create history for a room
-    const getOrCreateRoomHistory = (room) => {
-      if (!roomHistory.has(room)) {
-        roomHistory.set(room, { past: [], future: [], currentSnapshot: null })
+    socket.on('lock:release', async (room, payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => { }
+      try {
+        const r = room || socket.data.room
+        const released = await roomLocks.release(r, payload.kind, payload.id, socket.id)
+        if (released) broadcastToRoom(r, 'lock:released', { room: r, kind: payload.kind, id: payload.id, reason: 'released' })
+        reply({ ok: released })
+      } catch (e) {
+        log('lock:release').error('lock: release failed', e)
+        reply({ ok: false, code: 'error', error: e?.message || 'Unlock failed' })
       }
-      return roomHistory.get(room)
+    })
+
+    // ===== COMMENT THREADS =====
+
+    const commentErrorCode = (e) => {
+      if (e instanceof BackendError) return { code: 'backend_error', status: e.status }
+      if (e instanceof BackendUnavailableError) return { code: 'backend_unavailable', status: null }
+      return { code: 'error', status: null }
     }
 
-    // Handle snapshot recording before changes
-    socket.on('mindmap:snapshot', (room, payload) => {
+    // Run a backend comment call for the room's mindmap and broadcast the resulting thread
+    const handleComment = async (room, ack, event, call) => {
+      const reply = typeof ack === 'function' ? ack : () => { }
       try {
         const r = room || socket.data.room
-        if (!r) return
+        const mindmapId = roomAccess(socket, r)?.mindmapId
+        if (!r || !mindmapId) return reply({ ok: false, code: 'not_in_room', error: 'Comments need a mindmap room' })
+        const thread = await call(mindmapId, socket.data.token)
+        if (event) broadcastToRoom(r, event, { room: r, thread })
+        reply({ ok: true, thread })
+      } catch (e) {
+        log(event).error('comment: failed', e)
+        reply({ ok: false, ...commentErrorCode(e), error: e?.message || 'Comment failed' })
+      }
+    }
 
-        const history = getOrCreateRoomHistory(r)
-        const snapshot = payload?.snapshot
+    socket.on('comment:list', async (room, payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : (result) => socket.emit('comment:threads', result)
+      try {
+        const r = room || socket.data.room
+        const mindmapId = roomAccess(socket, r)?.mindmapId
+        if (!mindmapId) return reply({ ok: false, code: 'not_in_room', error: 'Comments need a mindmap room' })
+        let threads = await listThreads(mindmapId, socket.data.token)
+        if (payload?.anchorId) threads = threads.filter((t) => String(t.anchor?.id) === String(payload.anchorId))
+        reply({ ok: true, room: r, threads })
+      } catch (e) {
+        log('comment:list').error('comment: list failed', e)
+        reply({ ok: false, ...commentErrorCode(e), error: e?.message || 'Listing comments failed' })
+      }
+    })
 
-        if (!snapshot) return
+    socket.on('comment:create', (room, payload, ack) => handleComment(room, ack, 'comment:created',
+      (mindmapId, token) => createThread(mindmapId, token, { anchor: payload.anchor, text: payload.text.trim() })))
 
-        // Save current state to past before applying new change
-        if (history.currentSnapshot) {
-          history.past.push(history.currentSnapshot)
-          // Limit history size
-          if (history.past.length > MAX_HISTORY_SIZE) {
-            history.past.shift()
-          }
-        }
+    socket.on('comment:reply', (room, payload, ack) => handleComment(room, ack, 'comment:replied',
+      (mindmapId, token) => addReply(mindmapId, token, payload.threadId, payload.text.trim())))
 
-        // Clear future (new action invalidates redo)
-        history.future = []
+    socket.on('comment:resolve', (room, payload, ack) => handleComment(room, ack, 'comment:updated',
+      (mindmapId, token) => updateThread(mindmapId, token, payload.threadId, { status: 'resolved' })))
 
-        // Update current snapshot
-        history.currentSnapshot = snapshot
+    socket.on('comment:reopen', (room, payload, ack) => handleComment(room, ack, 'comment:updated',
+      (mindmapId, token) => updateThread(mindmapId, token, payload.threadId, { status: 'open' })))
 
-        // Broadcast canUndo/canRedo state to all clients
-        io.of('/realtime').to(r).emit('history:state', {
-          canUndo: history.past.length > 0,
-          canRedo: history.future.length > 0,
+    // Threads on deleted nodes stay readable but are flagged as orphaned
+    const orphanComments = (room, nodeIds) => {
+      const mindmapId = roomAccess(socket, room)?.mindmapId
+      if (!room || !mindmapId || nodeIds.length === 0) return
+      orphanNodeThreads(mindmapId, socket.data.token, nodeIds)
+        .then((threads) => {
+          if (threads.length === 0) return
+          log('mindmap:nodes:change').info('comment: orphaned threads', { room, threads: threads.length, nodeIds })
+          broadcastToRoom(room, 'comment:orphaned', { room, threads })
         })
+        .catch((e) => log('mindmap:nodes:change').error('comment: orphaning failed', { room, err: e }))
+    }
 
-        console.log(`[snapshot] room=${r} past=${history.past.length} future=${history.future.length}`)
+    // Handle auto-save mode sync - broadcast to all clients in room
+    socket.on('autosave:toggle', async (room, payload) => {
+      try {
+        const r = room || socket.data.room
+        if (!r) return
+        const enabled = payload?.enabled === true
+        const mode = { enabled, userId: socket.data.user?.id || null, at: Date.now() }
+        await roomAutosave.set(r, mode)
+        if (!enabled) autosaver.cancel(r)
+        broadcastToRoom(r, 'autosave:sync', { ...mode, clientId: socket.id })
+        log('autosave:toggle').info('autosave: toggled', { room: r, enabled })
       } catch (e) {
-        console.log(`[snapshot:error] id=${socket.id} ${e?.message || e}`)
+        log('autosave:toggle').error('autosave: toggle failed', e)
       }
     })
 
-    // Handle undo request
-    socket.on('undo:request', (room) => {
+    // ===== REALTIME UNDO/REDO SYSTEM =====
+
+    // Handle snapshot recording before changes
+    socket.on('mindmap:snapshot', async (room, payload) => {
       try {
         const r = room || socket.data.room
         if (!r) return
 
-        const history = getOrCreateRoomHistory(r)
+        const snapshot = payload?.snapshot
 
-        if (history.past.length === 0) {
-          socket.emit('undo:result', { success: false, reason: 'Nothing to undo' })
-          return
-        }
+        if (!snapshot) return
 
-        // Push current to future
-        if (history.currentSnapshot) {
-          history.future.push(history.currentSnapshot)
-        }
+        const history = await roomHistory.record(r, historyAuthor(), snapshot)
 
-        // Pop from past
-        const previousSnapshot = history.past.pop()
-        history.currentSnapshot = previousSnapshot
+        // Only the author's own undo/redo availability changed
+        socket.emit('history:state', { room: r, canUndo: history.canUndo, canRedo: history.canRedo })
 
-        // Broadcast restored state to ALL clients in room
-        io.of('/realtime').to(r).emit('undo:result', {
-          success: true,
-          snapshot: previousSnapshot,
-          canUndo: history.past.length > 0,
-          canRedo: history.future.length > 0,
-          clientId: socket.id,
-        })
-
-        console.log(`[undo] room=${r} past=${history.past.length} future=${history.future.length} by clientId=${socket.id}`)
+        log('mindmap:snapshot').debug('history: snapshot', { room: r, author: historyAuthor(), past: history.past, future: history.future })
       } catch (e) {
-        console.log(`[undo:error] id=${socket.id} ${e?.message || e}`)
-        socket.emit('undo:result', { success: false, reason: e?.message || 'Undo failed' })
+        log('mindmap:snapshot').error('history: snapshot failed', e)
       }
     })
 
-    // Handle redo request
-    socket.on('redo:request', (room) => {
+    // Revert (undo) or re-apply (redo) the requesting author's latest entry.
+    // The entry's changes are applied on top of the current state, so other
+    // collaborators' later edits are preserved.
+    const handleHistoryStep = async (kind, room) => {
+      const resultEvent = `${kind}:result`
       try {
         const r = room || socket.data.room
         if (!r) return
 
-        const history = getOrCreateRoomHistory(r)
+        const author = historyAuthor()
+        const result = kind === 'undo' ? await roomHistory.undo(r, author) : await roomHistory.redo(r, author)
 
-        if (history.future.length === 0) {
-          socket.emit('redo:result', { success: false, reason: 'Nothing to redo' })
+        if (!result) {
+          socket.emit(resultEvent, { success: false, reason: `Nothing to ${kind}` })
           return
         }
 
-        // Push current to past
-        if (history.currentSnapshot) {
-          history.past.push(history.currentSnapshot)
-        }
-
-        // Pop from future
-        const nextSnapshot = history.future.pop()
-        history.currentSnapshot = nextSnapshot
+        // Keep the authoritative document in step
+        const doc = roomDocuments.get(r)
+        if (doc) applyDocumentOps(r, diffToDocumentOps(result.changes, doc, socket.id), { except: socket })
 
-        // Broadcast restored state to ALL clients in room
-        io.of('/realtime').to(r).emit('redo:result', {
+        const notice = {
           success: true,
-          snapshot: nextSnapshot,
-          canUndo: history.past.length > 0,
-          canRedo: history.future.length > 0,
+          entryId: result.entry.id,
           clientId: socket.id,
-        })
+          userId: socket.data.user?.id || null,
+        }
+        // Only the diff goes over the wire; clients apply it on top of their
+        // state. Those with `doc-ops` already got it as doc ops when there is a document.
+        const payload = { ...notice, changes: result.changes }
+        if (doc) {
+          broadcastToRoom(r, resultEvent, notice, { except: socket, feature: 'doc-ops' })
+          broadcastToRoom(r, resultEvent, payload, { except: socket, withoutFeature: 'doc-ops' })
+        } else {
+          broadcastToRoom(r, resultEvent, payload, { except: socket })
+        }
+        // canUndo/canRedo are per author, so only the requester gets them
+        socket.emit(resultEvent, { ...payload, canUndo: result.canUndo, canRedo: result.canRedo })
+        socket.emit('history:state', { room: r, canUndo: result.canUndo, canRedo: result.canRedo })
 
-        console.log(`[redo] room=${r} past=${history.past.length} future=${history.future.length} by clientId=${socket.id}`)
+        log(`${kind}:request`).info(`history: ${kind}`, { room: r, author, past: result.past, future: result.future })
       } catch (e) {
-        console.log(`[redo:error] id=${socket.id} ${e?.message || e}`)
-        socket.emit('redo:result', { success: false, reason: e?.message || 'Redo failed' })
+        log(`${kind}:request`).error(`history: ${kind} failed`, e)
+        socket.emit(resultEvent, { success: false, reason: e?.message || (kind === 'undo' ? 'Undo failed' : 'Redo failed') })
       }
-    })
+    }
+
+    // Handle undo request
+    socket.on('undo:request', (room) => handleHistoryStep('undo', room))
+
+    // Handle redo request
+    socket.on('redo:request', (room) => handleHistoryStep('redo', room))
 
     // Legacy: keep undo:performed and redo:performed for backwards compatibility
     socket.on('undo:performed', (room, payload) => {
       try {
         const r = room || socket.data.room
         if (!r) return
-        socket.broadcast.to(r).emit('undo:performed', {
+        broadcastToRoom(r, 'undo:performed', {
           clientId: socket.id,
           userId: socket.data.user?.id || null,
           snapshot: payload?.snapshot,
           at: Date.now(),
-        })
+        }, { except: socket, replayAs: RESYNC })
       } catch (e) {
-        console.log(`[undo:performed:error] id=${socket.id} ${e?.message || e}`)
+        log('undo:performed').error('history: undo broadcast failed', e)
       }
     })
 
@@ -563,33 +1224,112 @@ export function initRealtimeServer(httpServer) {
       try {
         const r = room || socket.data.room
         if (!r) return
-        socket.broadcast.to(r).emit('redo:performed', {
+        broadcastToRoom(r, 'redo:performed', {
           clientId: socket.id,
           userId: socket.data.user?.id || null,
           snapshot: payload?.snapshot,
           at: Date.now(),
-        })
+        }, { except: socket, replayAs: RESYNC })
       } catch (e) {
-        console.log(`[redo:performed:error] id=${socket.id} ${e?.message || e}`)
+        log('redo:performed').error('history: redo broadcast failed', e)
       }
     })
 
 
-    socket.on('disconnect', () => {
-      const room = socket.data.room
-      if (!room) return
-      const participants = roomParticipants.get(room)
-      if (!participants) return
-      if (participants.has(socket.id)) {
-        participants.delete(socket.id)
-        console.log(`[socket] disconnected id=${socket.id} room=${room}`)
-        socket.broadcast.to(room).emit('presence:left', { clientId: socket.id })
+    socket.on('disconnect', async () => {
+      for (const room of Object.keys(socket.data.access || {})) {
+        if (!realtime.adapter.rooms.get(room)?.size) {
+          // Our last socket of the room: save its pending changes while the document is here
+          autosaver.flush(room)
+          // Drop documents of rooms this instance no longer serves; a drain saves them first
+          if (!isDraining()) roomDocuments.delete(room)
+        }
+        releaseLocks(room, socket.id, 'disconnect')
+        try {
+          if (await roomParticipants.remove(room, socket.id)) {
+            log('disconnect').info('socket: disconnected', { room })
+            broadcastToRoom(room, 'presence:left', { clientId: socket.id })
+          }
+        } catch (e) {
+          log('disconnect').error('presence: leave failed', { room, err: e })
+        }
       }
     })
   })
 
+  // ===== DRAIN =====
+
+  const drainNotice = (reconnectAfterMs) => ({ reason: 'shutdown', reconnectAfterMs })
+
+  const saveRoomState = async () => {
+    const rooms = new Map()
+    for (const [room, doc] of roomDocuments) {
+      if (!doc.seeded) continue
+      rooms.set(room, { doc: doc.exportState(), history: await roomHistory.exportRoom(room) })
+    }
+    await roomState.saveAll(rooms)
+    return rooms.size
+  }
+
+  drains.set(io, async ({ timeoutMs = config.drainTimeoutMs, stages = config.drainStages } = {}) => {
+    const startedAt = Date.now()
+    setDraining(true)
+
+    // Sockets are closed in `stages` batches spread over the second half of
+    // the timeout, so the clients reconnect elsewhere a few at a time
+    const sockets = [...realtime.sockets.values()]
+    const stageCount = Math.min(Math.max(1, stages), sockets.length)
+    const stageSize = Math.ceil(sockets.length / Math.max(1, stageCount))
+    const stageIntervalMs = Math.floor(timeoutMs / 2 / Math.max(1, stageCount))
+    const firstStageAt = startedAt + Math.floor(timeoutMs / 2)
+    sockets.forEach((socket, i) => {
+      const stage = Math.floor(i / stageSize)
+      socket.emit('server:draining', drainNotice(firstStageAt - startedAt + stage * stageIntervalMs))
+    })
+    logger.info('drain: started', { sockets: sockets.length, stages: stageCount, timeoutMs })
+
+    const step = async (name, fn) => {
+      try {
+        return await fn()
+      } catch (e) {
+        logger.error(`drain: ${name} failed`, e)
+        return null
+      }
+    }
+    await step('buffer flush', () => buffer?.flush())
+    await step('history flush', () => historyOutboxWorker.flush(Math.max(0, firstStageAt - Date.now())))
+    await step('autosave flush', () => autosaver.flushAll())
+    const rooms = await step('room state', saveRoomState)
+    logger.info('drain: state saved', { rooms, outbox: await step('outbox stats', () => historyOutbox.stats()) })
+
+    for (let stage = 0; stage < stageCount; stage++) {
+      const wait = firstStageAt + stage * stageIntervalMs - Date.now()
+      if (wait > 0) await sleep(wait)
+      // Closing the transport, unlike socket.disconnect(), makes clients reconnect on their own
+      for (const socket of sockets.slice(stage * stageSize, (stage + 1) * stageSize)) {
+        if (socket.connected) socket.conn.close()
+      }
+      logger.info('drain: stage closed', { stage: stage + 1, of: stageCount })
+    }
+    // Whatever the last clients sent before going
+    await step('buffer flush', () => buffer?.flush())
+    logger.info('drain: done', { durationMs: Date.now() - startedAt })
+  })
+
   globalThis.realtimeIO = io
   return io  // Return the io instance for sharing with Buffer
 }
 
+/**
+ * Move clients off this instance before it stops: fail readiness, refuse
+ * joins, warn clients with `server:draining`, flush the buffer and history
+ * outbox, save room state, then close the sockets in stages.
+ * @param {import('socket.io').Server} io - as returned by initRealtimeServer()
+ * @param {{ timeoutMs?: number, stages?: number }} [options]
+ */
+export async function drainRealtimeServer(io, options) {
+  const drain = drains.get(io)
+  if (drain) await drain(options)
+}
+
 export default initRealtimeServer
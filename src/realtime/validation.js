@@ -0,0 +1,269 @@
+// Declared payload schemas for every client-to-server event.
+//
+// A schema is a function `(value, path) => error | null`. Each event lists one
+// schema per positional argument (the ack callback excluded) and a byte limit
+// for the whole packet. Packets that do not match are rejected with an
+// `invalid_payload` error before their handler runs.
+
+import { rejectPacket, getAck } from './ack.js'
+import { ANCHOR_KINDS } from './comments.js'
+import { LOCKABLE_KINDS } from './locks.js'
+import { socketLogger } from '../logger.js'
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value)
+
+// Wrap a check so `optional` accepts undefined and `nullable` accepts null
+const field = (check, { optional = false, nullable = false } = {}) => (value, path) => {
+  if (value === undefined) return optional ? null : `${path} is required`
+  if (value === null) return nullable ? null : `${path} must not be null`
+  return check(value, path)
+}
+
+export const t = {
+  any: (options) => field(() => null, options),
+
+  string: ({ min = 0, max = 1024, pattern = null, ...options } = {}) => field((value, path) => {
+    if (typeof value !== 'string') return `${path} must be a string`
+    if (value.length < min) return `${path} must be at least ${min} characters`
+    if (value.length > max) return `${path} must be at most ${max} characters`
+    if (pattern && !pattern.test(value)) return `${path} has an invalid format`
+    return null
+  }, options),
+
+  number: ({ min = -Infinity, max = Infinity, integer = false, ...options } = {}) => field((value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a finite number`
+    if (integer && !Number.isInteger(value)) return `${path} must be an integer`
+    if (value < min || value > max) return `${path} must be between ${min} and ${max}`
+    return null
+  }, options),
+
+  boolean: (options) => field((value, path) => (typeof value === 'boolean' ? null : `${path} must be a boolean`), options),
+
+  oneOf: (values, options) => field((value, path) => (values.includes(value) ? null : `${path} must be one of ${values.join(', ')}`), options),
+
+  union: (schemas, options) => field((value, path) => {
+    let first = null
+    for (const schema of schemas) {
+      const error = schema(value, path)
+      if (!error) return null
+      first = first || error
+    }
+    return first
+  }, options),
+
+  array: (item, { max = 1000, ...options } = {}) => field((value, path) => {
+    if (!Array.isArray(value)) return `${path} must be an array`
+    if (value.length > max) return `${path} must have at most ${max} items`
+    for (let i = 0; i < value.length; i++) {
+      const error = item(value[i], `${path}[${i}]`)
+      if (error) return error
+    }
+    return null
+  }, options),
+
+  // Keys not in `shape` are passed through, or removed once the object is
+  // valid when `strip` is set: clients newer than the server may send more
+  object: (shape = {}, { strip = false, maxKeys = 100, ...options } = {}) => field((value, path) => {
+    if (typeOf(value) !== 'object') return `${path} must be an object`
+    const keys = Object.keys(value)
+    if (keys.length > maxKeys) return `${path} must have at most ${maxKeys} keys`
+    for (const key of Object.keys(shape)) {
+      const error = shape[key](value[key], `${path}.${key}`)
+      if (error) return error
+    }
+    if (strip) {
+      for (const key of keys) if (!Object.hasOwn(shape, key)) delete value[key]
+    }
+    return null
+  }, options),
+}
+
+const ID_MAX = 128
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|(rgb|hsl)a?\([\d\s.,%/]{1,40}\))$/
+const URL_PATTERN = /^https?:\/\/\S+$/
+const NOT_BLANK = /\S/
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u
+
+const room = t.string({ max: 200, optional: true, nullable: true })
+const id = (options) => t.string({ min: 1, max: ID_MAX, ...options })
+const item = t.object({ id: id() }, { maxKeys: 50 })
+
+const NODE_CHANGE_TYPES = ['position', 'dimensions', 'select', 'remove', 'add', 'replace', 'reset']
+const itemChange = t.object({
+  type: t.oneOf(NODE_CHANGE_TYPES),
+  id: id({ optional: true }),
+  position: t.object({ x: t.number(), y: t.number() }, { optional: true, nullable: true }),
+  item: t.object({ id: id() }, { optional: true, maxKeys: 50 }),
+})
+
+const snapshot = (options) => t.object({
+  nodes: t.array(item, { max: 5000, optional: true }),
+  edges: t.array(item, { max: 10000, optional: true }),
+  viewport: t.object({ x: t.number(), y: t.number(), zoom: t.number({ min: 0 }) }, { optional: true, nullable: true }),
+}, options)
+
+const KB = 1024
+const MB = 1024 * KB
+
+// args: schemas for the positional arguments, the room first where the handler
+// takes one; maxBytes: limit on the JSON-encoded arguments
+export const EVENT_SCHEMAS = {
+  'mindmap:join': {
+    maxBytes: 2 * KB,
+    args: [t.object({
+      mindmapId: t.union([id(), t.number()], { optional: true, nullable: true }),
+      shareToken: t.string({ min: 1, max: 256, optional: true, nullable: true }),
+      lastSeq: t.number({ min: 0, integer: true, optional: true, nullable: true }),
+      clientId: t.string({ max: ID_MAX, optional: true, nullable: true }),
+    }, { strip: true })],
+  },
+  'ai:stream:cancel': {
+    maxBytes: KB,
+    args: [t.object({ streamId: t.union([id(), t.number()]) })],
+  },
+  'ai:stream:resume': {
+    maxBytes: KB,
+    args: [t.object({
+      streamId: t.union([id(), t.number()]),
+      lastSeq: t.number({ min: 0, integer: true, optional: true }),
+    })],
+  },
+  'room:replay': {
+    maxBytes: KB,
+    args: [room, t.object({
+      lastSeq: t.number({ min: 0, integer: true }),
+      clientId: t.string({ max: ID_MAX, optional: true, nullable: true }),
+    }, { strip: true })],
+  },
+  'mindmap:doc:sync': { maxBytes: KB, args: [room] },
+  'cursor:move': {
+    maxBytes: 2 * KB,
+    args: [room, t.object({ cursor: t.object({ x: t.number(), y: t.number() }, { optional: true, nullable: true }) }, { maxKeys: 20 })],
+  },
+  'presence:announce': {
+    maxBytes: 4 * KB,
+    args: [room, t.object({
+      userId: t.union([id(), t.number()], { optional: true, nullable: true }),
+      name: t.string({ max: 80, optional: true, nullable: true }),
+      color: t.string({ max: 64, pattern: COLOR_PATTERN, optional: true, nullable: true }),
+      avatar: t.string({ max: 2048, pattern: URL_PATTERN, optional: true, nullable: true }),
+    }, { strip: true })],
+  },
+  'presence:active': {
+    maxBytes: KB,
+    args: [room, t.object({
+      type: t.string({ max: 32, optional: true, nullable: true }),
+      id: id({ optional: true, nullable: true }),
+    }, { maxKeys: 10, optional: true, nullable: true })],
+  },
+  'presence:clear': { maxBytes: KB, args: [room] },
+  'chat:message': {
+    maxBytes: 8 * KB,
+    args: [room, t.object({
+      text: t.string({ max: 2000, optional: true, nullable: true }),
+      message: t.string({ max: 2000, optional: true, nullable: true }),
+    }, { maxKeys: 10 })],
+  },
+  'chat:history': {
+    maxBytes: KB,
+    args: [room, t.object({
+      before: id({ optional: true, nullable: true }),
+      limit: t.number({ min: 1, max: 200, integer: true, optional: true }),
+    }, { strip: true, optional: true, nullable: true })],
+  },
+  'chat:edit': {
+    maxBytes: 8 * KB,
+    args: [room, t.object({ id: id(), text: t.string({ max: 2000 }) }, { strip: true })],
+  },
+  'chat:delete': { maxBytes: KB, args: [room, t.object({ id: id() }, { strip: true })] },
+  'chat:react': {
+    maxBytes: KB,
+    args: [room, t.object({ id: id(), emoji: t.string({ min: 1, max: 16, pattern: EMOJI_PATTERN }) }, { strip: true })],
+  },
+  'comment:list': {
+    maxBytes: KB,
+    args: [room, t.object({ anchorId: id({ optional: true, nullable: true }) }, { strip: true, optional: true, nullable: true })],
+  },
+  'comment:create': {
+    maxBytes: 8 * KB,
+    args: [room, t.object({
+      anchor: t.object({ kind: t.oneOf(ANCHOR_KINDS), id: id() }, { strip: true }),
+      text: t.string({ min: 1, max: 4000, pattern: NOT_BLANK }),
+    }, { strip: true })],
+  },
+  'comment:reply': {
+    maxBytes: 8 * KB,
+    args: [room, t.object({ threadId: t.union([id(), t.number()]), text: t.string({ min: 1, max: 4000, pattern: NOT_BLANK }) }, { strip: true })],
+  },
+  'comment:resolve': { maxBytes: KB, args: [room, t.object({ threadId: t.union([id(), t.number()]) }, { strip: true })] },
+  'comment:reopen': { maxBytes: KB, args: [room, t.object({ threadId: t.union([id(), t.number()]) }, { strip: true })] },
+  'chat:typing': {
+    maxBytes: KB,
+    args: [room, t.object({ isTyping: t.boolean({ optional: true }) }, { maxKeys: 10, optional: true, nullable: true })],
+  },
+  'mindmap:nodes:change': { maxBytes: 512 * KB, args: [room, t.array(itemChange, { max: 2000 })] },
+  'mindmap:edges:change': { maxBytes: 512 * KB, args: [room, t.array(itemChange, { max: 2000 })] },
+  'mindmap:connect': {
+    maxBytes: 4 * KB,
+    args: [room, t.object({
+      source: id(),
+      target: id(),
+      sourceHandle: t.string({ max: ID_MAX, optional: true, nullable: true }),
+      targetHandle: t.string({ max: ID_MAX, optional: true, nullable: true }),
+    }, { maxKeys: 20 })],
+  },
+  'mindmap:viewport': {
+    maxBytes: KB,
+    args: [room, t.object({ x: t.number(), y: t.number(), zoom: t.number({ min: 0 }) }, { strip: true })],
+  },
+  'mindmap:nodes:update': { maxBytes: 64 * KB, args: [room, item] },
+  'mindmap:edges:update': { maxBytes: 64 * KB, args: [room, item] },
+  'mindmap:snapshot': { maxBytes: 2 * MB, args: [room, t.object({ snapshot: snapshot() })] },
+  'history:restore': {
+    maxBytes: 2 * MB,
+    args: [room, t.object({
+      historyId: t.union([id(), t.number()], { optional: true, nullable: true }),
+      snapshot: snapshot({ optional: true, nullable: true }),
+    })],
+  },
+  'undo:request': { maxBytes: KB, args: [room] },
+  'redo:request': { maxBytes: KB, args: [room] },
+  'undo:performed': { maxBytes: 2 * MB, args: [room, t.object({ snapshot: snapshot({ optional: true, nullable: true }) }, { optional: true, nullable: true })] },
+  'redo:performed': { maxBytes: 2 * MB, args: [room, t.object({ snapshot: snapshot({ optional: true, nullable: true }) }, { optional: true, nullable: true })] },
+  'lock:acquire': { maxBytes: KB, args: [room, t.object({ kind: t.oneOf(LOCKABLE_KINDS), id: id() }, { strip: true })] },
+  'lock:release': { maxBytes: KB, args: [room, t.object({ kind: t.oneOf(LOCKABLE_KINDS), id: id() }, { strip: true })] },
+  'autosave:toggle': { maxBytes: KB, args: [room, t.object({ enabled: t.boolean() })] },
+}
+
+/** @returns {string|null} the first problem with the packet's arguments */
+export function validatePacket(event, args) {
+  const schema = EVENT_SCHEMAS[event]
+  if (!schema) return `no schema for '${event}'`
+  let bytes = 0
+  try {
+    bytes = Buffer.byteLength(JSON.stringify(args) || '')
+  } catch {
+    return 'payload is not serializable'
+  }
+  if (bytes > schema.maxBytes) return `payload is ${bytes} bytes, limit is ${schema.maxBytes}`
+  for (let i = 0; i < schema.args.length; i++) {
+    const error = schema.args[i](args[i], schema.args[i] === room ? 'room' : 'payload')
+    if (error) return error
+  }
+  return null
+}
+
+/** Socket middleware that rejects packets whose arguments do not match their event schema */
+export function validatePayloads(socket) {
+  return (packet, next) => {
+    const event = Array.isArray(packet) ? packet[0] : null
+    const args = packet.slice(1)
+    if (getAck(packet)) args.pop()
+    const error = validatePacket(event, args)
+    if (!error) return next()
+    socketLogger(socket, { event }).warn('validation: rejected', { error })
+    rejectPacket(socket, packet, 'invalid_payload', error)
+  }
+}
+
+export default validatePayloads
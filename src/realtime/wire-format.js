@@ -0,0 +1,91 @@
+// Wire formats of the realtime namespace.
+//
+// JSON (socket.io-parser) is the default. Clients built with
+// socket.io-msgpack-parser opt in to MessagePack just by connecting with it:
+// a connection's first packet is text for JSON clients and binary for
+// MessagePack ones, and the decoder keeps that format for the connection.
+// Broadcasts are encoded once by Socket.IO for every receiver, so the shared
+// encoder produces JSON and keeps the packet, and MessagePack connections
+// re-encode it, at most once per broadcast for all of them.
+
+import { EventEmitter } from 'events'
+import * as jsonParser from 'socket.io-parser'
+import msgpackParser from 'socket.io-msgpack-parser'
+
+const PACKET = Symbol('packet')
+const PATCHED = Symbol('wireFormat')
+
+const msgpackEncoder = new msgpackParser.Encoder()
+const msgpackCache = new WeakMap() // JSON-encoded broadcast -> MessagePack-encoded
+
+class Encoder {
+  constructor() {
+    this.json = new jsonParser.Encoder()
+  }
+
+  encode(packet) {
+    const encoded = this.json.encode(packet)
+    Object.defineProperty(encoded, PACKET, { value: packet })
+    return encoded
+  }
+}
+
+class Decoder extends EventEmitter {
+  constructor() {
+    super()
+    this.format = null // 'json' | 'msgpack', set by the first packet
+    this.json = new jsonParser.Decoder()
+    this.msgpack = new msgpackParser.Decoder()
+    for (const decoder of [this.json, this.msgpack]) {
+      decoder.on('decoded', (packet) => this.emit('decoded', packet))
+    }
+  }
+
+  add(obj) {
+    if (!this.format) this.format = typeof obj === 'string' ? 'json' : 'msgpack'
+    // JSON binary attachments are binary too, so the format never changes afterwards
+    if (this.format === 'msgpack') this.msgpack.add(obj)
+    else this.json.add(obj)
+  }
+
+  destroy() {
+    this.json.destroy()
+    this.msgpack.destroy?.()
+  }
+}
+
+/** Parser for `new Server(httpServer, { parser })` accepting both formats */
+export const wireParser = { protocol: jsonParser.protocol, Encoder, Decoder }
+
+const toMsgpack = (encoded) => {
+  let packets = msgpackCache.get(encoded)
+  if (!packets) {
+    packets = msgpackEncoder.encode(encoded[PACKET])
+    msgpackCache.set(encoded, packets)
+  }
+  return packets
+}
+
+/** The format a connected socket speaks */
+export const wireFormatOf = (socket) => socket.client.decoder?.format || 'json'
+
+/**
+ * Namespace middleware switching MessagePack connections to MessagePack
+ * output. Must run before anything that can emit to the socket.
+ */
+export function applyWireFormat(socket, next) {
+  const client = socket.client
+  if (wireFormatOf(socket) !== 'msgpack' || client[PATCHED]) return next()
+  client[PATCHED] = true
+  client.encoder = msgpackEncoder
+  const writeToEngine = client.writeToEngine.bind(client)
+  client.writeToEngine = (encodedPackets, opts) => {
+    if (!encodedPackets?.[PACKET]) return writeToEngine(encodedPackets, opts)
+    // A broadcast: the precomputed WebSocket frame holds the JSON text
+    const { wsPreEncodedFrame, ...rest } = opts
+    return writeToEngine(toMsgpack(encodedPackets), rest)
+  }
+  next()
+}
+
+export default wireParser
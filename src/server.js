@@ -9,7 +9,12 @@ import express from 'express';
 import app from './app.js';
 
 import { config } from './config/app.config.js';
-import { initRealtimeServer } from './realtime/socket.js';
+import { initRealtimeServer, drainRealtimeServer } from './realtime/socket.js';
+import { captureRawBody } from './middleware/internal-auth.js';
+import { defineGauge, defineSummary, onCollect } from './realtime/metrics.js';
+import { registerReadinessCheck, pingRedis } from './realtime/health.js';
+import { closeRedisClient } from './config/redis.config.js';
+import { logger } from './logger.js';
 
 // Import Buffer from the actual file location you provided.
 // If buffer.js is in ./Tuning, change the path back to './Tuning/buffer.js'.
@@ -20,7 +25,8 @@ const start = async () => {
   const APP = express();
 
   // Global middlewares first
-  APP.use(express.json());
+  // Keep the raw body so internal routes can verify their HMAC signature
+  APP.use(express.json({ verify: captureRawBody }));
 
   // Mount your modular app/routers
   APP.use(app);
@@ -29,11 +35,11 @@ const start = async () => {
   if (APP?._router?.stack) {
     APP._router.stack.forEach((middleware) => {
       if (middleware.route) {
-        console.log(`Route: ${middleware.route.path}`);
+        logger.debug('route registered', { path: middleware.route.path });
       } else if (middleware.name === 'router' && middleware.handle?.stack) {
         middleware.handle.stack.forEach((handler) => {
           const route = handler.route;
-          if (route) console.log(`Route: ${route.path}`);
+          if (route) logger.debug('route registered', { path: route.path });
         });
       }
     });
@@ -42,20 +48,32 @@ const start = async () => {
   // Create ONE HTTP server wrapping the APP
   const server = http.createServer(APP);
 
-  // Initialize Socket.IO - returns the io instance
-  const io = initRealtimeServer(server);
-
-  // Initialize the buffering utility (uses the same io instance, no duplicate server)
+  // Initialize the buffering utility; socket handlers batch high-frequency events through it
   const bufferInstance = new DataBuffer({
     // Tuning options
-    flushIntervalMs: 1000,
-    maxBufferSize: 5000,
-    maxChunkSize: 500,
+    flushIntervalMs: config.bufferFlushIntervalMs,
+    maxBufferSize: config.bufferMaxSize,
+    maxChunkSize: config.bufferMaxChunkSize,
+    namespace: config.bufferNamespace,
     // Redis config from environment
     useRedis: config.useRedis,
     redisUrl: config.redisUrl,
-    // Share the existing io instance
-    io: io,
+  });
+
+  // Initialize Socket.IO - returns the io instance, which the buffer emits through
+  const io = initRealtimeServer(server, { buffer: bufferInstance });
+  bufferInstance.setIO(io);
+
+  // The buffer keeps its own Redis connection, so readiness checks it separately
+  if (config.useRedis) {
+    registerReadinessCheck('bufferRedis', () => pingRedis(bufferInstance.redisClientInstance));
+  }
+  const bufferPending = defineGauge('realtime_buffer_pending', 'Items waiting in the buffer');
+  const bufferFlush = defineSummary('realtime_buffer_flush_duration_seconds', 'Time spent flushing the buffer');
+  onCollect(async () => {
+    const stats = await bufferInstance.stats();
+    bufferPending.set({}, stats.pending);
+    bufferFlush.set({}, stats.flushTotalMs / 1000, stats.flushes);
   });
 
   // If Redis is enabled, try to get the client for other uses
@@ -63,38 +81,50 @@ const start = async () => {
     try {
       const redisClient = await bufferInstance.redisClient();
       server.OTMZ_Buffer_instance_redis = redisClient;
-      console.log('[Server] Redis buffer client ready.');
+      logger.info('server: redis buffer client ready');
     } catch (err) {
-      console.warn('[Server] Redis buffer client unavailable, using in-memory:', err.message);
+      logger.warn('server: redis buffer client unavailable, using in-memory', err);
     }
   } else {
-    console.log('[Server] Using in-memory buffer (no Redis configured).');
+    logger.info('server: using in-memory buffer (no Redis configured)');
   }
 
   // Useful diagnostics
-  console.log(`[Server] Buffer length: ${bufferInstance.getBufferLength()}`);
-  console.log('[Server] Buffering started.');
+  logger.debug('server: buffering started', { pending: bufferInstance.getBufferLength() });
 
   const PORT = config.port;
   server.listen(PORT, () => {
-    console.log('===========================================');
-    console.log('RiverFlow Realtime ServerSide');
-    console.log('===========================================');
-    console.log(`Port: ${PORT}`);
-    console.log(`Env: ${config.nodeEnv}`);
-    console.log(`CORS: ${Array.isArray(config.corsOrigins) ? config.corsOrigins.join(', ') : config.corsOrigins}`);
-    console.log('Path: /socket.io, Namespace: /realtime');
-    console.log('===========================================');
+    logger.info('RiverFlow Realtime ServerSide listening', {
+      port: PORT,
+      env: config.nodeEnv,
+      cors: Array.isArray(config.corsOrigins) ? config.corsOrigins.join(', ') : config.corsOrigins,
+      path: '/socket.io',
+      namespace: '/realtime',
+    });
   });
 
-  // Graceful shutdown example (optional)
-  const shutdown = async () => {
-    console.log('Shutting down...');
+  // Graceful shutdown: move clients to other instances, then stop
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('server: shutting down', { signal });
+    try {
+      await drainRealtimeServer(io);
+    } catch (err) {
+      logger.error('server: drain failed', err);
+    }
     await bufferInstance.close();
-    server.close(() => {
-      console.log('HTTP server closed.');
+    // Last: the drain hands room state over and flushes the outbox through it
+    await closeRedisClient();
+    // Also closes sockets that connected during the drain, then the HTTP server
+    io.close(() => {
+      logger.info('server: HTTP server closed');
       process.exit(0);
     });
+    // Idle keep-alive connections would otherwise hold the close
+    server.closeIdleConnections();
+    setTimeout(() => process.exit(0), 5000).unref();
   };
 
   process.on('SIGINT', shutdown);
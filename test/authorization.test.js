@@ -0,0 +1,69 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Config is read when modules load
+process.env.LOG_LEVEL = 'silent'
+const { authorizeEvent, grantRoomAccess, roomAccess, revokeRoomAccess, canEditRoom, resolvePacketRoom } = await import('../src/realtime/authorization.js')
+
+const fakeSocket = ({ rooms = [], room = null } = {}) => ({
+  id: 'sock1',
+  data: { room },
+  rooms: new Set(['sock1', ...rooms]),
+  emitted: [],
+  emit(event, payload) { this.emitted.push([event, payload]) },
+})
+
+// Runs a packet through the middleware; resolves true when it reaches its handler, or the rejection
+const send = (socket, ...packet) => new Promise((resolve) => {
+  authorizeEvent(socket)([...packet, (result) => resolve(result)], () => resolve(true))
+})
+
+test('grantRoomAccess keeps what the join learnt when the permission changes', () => {
+  const socket = fakeSocket()
+  grantRoomAccess(socket, 'mindmap:m1', { canEdit: false, mindmapId: 'm1', shareToken: 'link' })
+  grantRoomAccess(socket, 'mindmap:m1', { canEdit: true })
+  assert.deepEqual(roomAccess(socket, 'mindmap:m1'), { mindmapId: 'm1', shareToken: 'link', canEdit: true })
+  assert.equal(canEditRoom(socket, 'mindmap:m1'), true)
+  assert.equal(roomAccess(socket, 'mindmap:m2'), null)
+  revokeRoomAccess(socket, 'mindmap:m1')
+  assert.equal(canEditRoom(socket, 'mindmap:m1'), false)
+})
+
+test('resolvePacketRoom takes the room argument, or falls back to the latest join', () => {
+  const socket = fakeSocket({ room: 'mindmap:m1' })
+  assert.equal(resolvePacketRoom(socket, ['chat:message', 'mindmap:m2', {}]), 'mindmap:m2')
+  assert.equal(resolvePacketRoom(socket, ['presence:clear']), 'mindmap:m1')
+  assert.equal(resolvePacketRoom(socket, ['presence:clear', () => { }]), 'mindmap:m1')
+  assert.equal(resolvePacketRoom(socket, ['chat:message', { text: 'hi' }]), null)
+})
+
+test('events for rooms the socket has not joined, or was not granted, are refused', async () => {
+  const socket = fakeSocket({ rooms: ['mindmap:m1', 'mindmap:m2'] })
+  grantRoomAccess(socket, 'mindmap:m1', { canEdit: true })
+  assert.equal(await send(socket, 'chat:message', 'mindmap:m1', { text: 'hi' }), true)
+  assert.equal((await send(socket, 'chat:message', 'mindmap:m3', { text: 'hi' })).code, 'not_in_room')
+  assert.equal((await send(socket, 'chat:message', 'mindmap:m2', { text: 'hi' })).code, 'not_in_room')
+  assert.equal((await send(socket, 'chat:message', 'sock1', { text: 'hi' })).code, 'not_in_room')
+})
+
+test('viewers may chat and read but not edit', async () => {
+  const socket = fakeSocket({ rooms: ['mindmap:m1'] })
+  grantRoomAccess(socket, 'mindmap:m1', { canEdit: false })
+  assert.equal(await send(socket, 'cursor:move', 'mindmap:m1', {}), true)
+  assert.equal(await send(socket, 'comment:create', 'mindmap:m1', {}), true)
+  const refused = await send(socket, 'mindmap:nodes:change', 'mindmap:m1', [])
+  assert.deepEqual([refused.code, refused.room], ['forbidden', 'mindmap:m1'])
+  grantRoomAccess(socket, 'mindmap:m1', { canEdit: true })
+  assert.equal(await send(socket, 'mindmap:nodes:change', 'mindmap:m1', []), true)
+})
+
+test('joins pass without a room, and unknown events are refused', async () => {
+  const socket = fakeSocket()
+  assert.equal(await send(socket, 'mindmap:join', { mindmapId: 'm1' }), true)
+  assert.equal((await send(socket, 'made:up', 'mindmap:m1')).code, 'unknown_event')
+
+  // Without an ack the refusal arrives as an event
+  authorizeEvent(socket)(['made:up', 'mindmap:m1'], () => assert.fail('reached the handler'))
+  assert.equal(socket.emitted[0][0], 'realtime:error')
+  assert.equal(socket.emitted[0][1].code, 'unknown_event')
+})
@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Buffer } from '../src/buffer.js'
+
+// Records what the buffer emits, as [room, event, payloads, volatile]
+const fakeIO = () => {
+  const emitted = []
+  const target = (room, volatile = false) => ({
+    get volatile() { return target(room, true) },
+    emit: (event, payloads) => emitted.push([room, event, payloads, volatile]),
+  })
+  return { emitted, of: () => ({ to: (room) => target(room), ...target('') }) }
+}
+
+const buffer = (options = {}) => {
+  const io = fakeIO()
+  return { io, buffer: new Buffer({ flushIntervalMs: 60 * 1000, io, ...options }) }
+}
+
+test('items are emitted per room and event, in arrival order', async () => {
+  const { io, buffer: b } = buffer()
+  b.add('r1', 'a', 1)
+  b.add('r2', 'a', 2)
+  b.add('r1', 'b', 3)
+  b.add('r1', 'a', 4)
+  await b.flush()
+  await b.close()
+  assert.deepEqual(io.emitted, [['r1', 'a', [1, 4], false], ['r1', 'b', [3], false], ['r2', 'a', [2], false]])
+})
+
+test('keyed items keep only the latest per key, in the order of their last update', async () => {
+  const { io, buffer: b } = buffer()
+  b.add('r1', 'frame', { id: 'n1', x: 1 }, { key: 'n1' })
+  b.add('r1', 'frame', { id: 'n2', x: 1 }, { key: 'n2' })
+  b.add('r1', 'frame', { id: 'n1', x: 2 }, { key: 'n1' })
+  await b.flush()
+  await b.close()
+  assert.deepEqual(io.emitted, [['r1', 'frame', [{ id: 'n2', x: 1 }, { id: 'n1', x: 2 }], false]])
+})
+
+test('a batch is volatile only when all its items are', async () => {
+  const { io, buffer: b } = buffer()
+  b.add('r1', 'cursor', 1, { key: 'c1', volatile: true })
+  b.add('r1', 'cursor', 2, { key: 'c2', volatile: true })
+  b.add('r2', 'frame', 1, { key: 'n1', volatile: true })
+  b.add('r2', 'frame', 2, { key: 'n2' })
+  await b.flush()
+  await b.close()
+  assert.deepEqual(io.emitted.map(([room, , , volatile]) => [room, volatile]), [['r1', true], ['r2', false]])
+})
+
+test('batches are split into chunks, and the oldest items are dropped past the cap', async () => {
+  const { io, buffer: b } = buffer({ maxChunkSize: 2, maxBufferSize: 5 })
+  for (let i = 0; i < 7; i++) b.add('r1', 'a', i)
+  assert.equal(b.getBufferLength(), 5)
+  await b.flush()
+  await b.close()
+  assert.deepEqual(io.emitted.map(([, , payloads]) => payloads), [[2, 3], [4, 5], [6]])
+})
+
+test('a flush takes everything pending, and idle flushes are not counted', async () => {
+  const { io, buffer: b } = buffer()
+  b.add('', 'broadcast', 1)
+  await b.flush()
+  await b.flush()
+  const stats = await b.stats()
+  await b.close()
+  assert.deepEqual(io.emitted, [['', 'broadcast', [1], false]])
+  assert.equal(stats.pending, 0)
+  assert.equal(stats.flushes, 1)
+})
@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffSnapshots, invertDiff, applyDiff } from '../src/realtime/diff.js'
+
+const before = {
+  nodes: [
+    { id: 'n1', position: { x: 0, y: 0 }, data: { label: 'a', color: 'red' } },
+    { id: 'n2', position: { x: 10, y: 0 }, data: { label: 'b' } },
+  ],
+  edges: [{ id: 'e1', source: 'n1', target: 'n2' }],
+  viewport: { x: 0, y: 0, zoom: 1 },
+}
+
+const after = {
+  nodes: [
+    { id: 'n1', position: { x: 5, y: 0 }, data: { label: 'a', note: 'new' } },
+    { id: 'n3', position: { x: 20, y: 0 }, data: { label: 'c' } },
+  ],
+  edges: [{ id: 'e1', source: 'n1', target: 'n2' }],
+  viewport: { x: 0, y: 0, zoom: 1 },
+}
+
+test('diffSnapshots records adds, removes and changed fields only', () => {
+  assert.deepEqual(diffSnapshots(before, after), [
+    { kind: 'node', op: 'remove', item: before.nodes[1] },
+    { kind: 'node', op: 'patch', id: 'n1', from: { position: { x: 0, y: 0 }, 'data.color': 'red', 'data.note': null }, to: { position: { x: 5, y: 0 }, 'data.color': null, 'data.note': 'new' } },
+    { kind: 'node', op: 'add', item: after.nodes[1] },
+  ])
+  assert.deepEqual(diffSnapshots(before, before), [])
+})
+
+test('diffSnapshots treats a missing snapshot as empty', () => {
+  assert.deepEqual(diffSnapshots(null, { nodes: [{ id: 1 }] }), [{ kind: 'node', op: 'add', item: { id: 1 } }])
+  assert.deepEqual(diffSnapshots({ edges: [{ id: 'e1' }] }, {}), [{ kind: 'edge', op: 'remove', item: { id: 'e1' } }])
+})
+
+test('applying a diff and then its inverse restores the snapshot', () => {
+  const changes = diffSnapshots(before, after)
+  const applied = applyDiff(before, changes)
+  assert.deepEqual(diffSnapshots(applied, after), [])
+  const restored = applyDiff(applied, invertDiff(changes))
+  assert.deepEqual(diffSnapshots(restored, before), [])
+  assert.deepEqual(restored.viewport, before.viewport)
+})
+
+test('an inverse patch leaves fields the diff does not name alone', () => {
+  const changes = diffSnapshots(before, after)
+  // A collaborator renamed n1 after the change
+  const current = applyDiff(applyDiff(before, changes), [{ kind: 'node', op: 'patch', id: 'n1', from: {}, to: { 'data.label': 'z' } }])
+  const undone = applyDiff(current, invertDiff(changes))
+  const n1 = undone.nodes.find((n) => n.id === 'n1')
+  assert.deepEqual(n1, { id: 'n1', position: { x: 0, y: 0 }, data: { label: 'z', color: 'red' } })
+})
+
+test('invertDiff reverses the order and swaps every operation', () => {
+  const ops = [{ kind: 'node', op: 'add', item: { id: 'n1' } }, { kind: 'edge', op: 'patch', id: 'e1', from: { label: 'a' }, to: { label: 'b' } }]
+  assert.deepEqual(invertDiff(ops), [
+    { kind: 'edge', op: 'patch', id: 'e1', from: { label: 'b' }, to: { label: 'a' } },
+    { kind: 'node', op: 'remove', item: { id: 'n1' } },
+  ])
+  assert.deepEqual(invertDiff(null), [])
+})
+
+test('applyDiff does not modify the snapshot it is given', () => {
+  const copy = JSON.parse(JSON.stringify(before))
+  applyDiff(before, diffSnapshots(before, after))
+  assert.deepEqual(before, copy)
+})
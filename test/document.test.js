@@ -0,0 +1,165 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MindmapDocument, compareStamps, flattenItem, nodeChangesToOps, edgeChangesToOps, connectionToOps, itemUpdateToOps } from '../src/realtime/document.js'
+import { diffToDocumentOps } from '../src/realtime/diff.js'
+
+const seeded = () => {
+  const doc = new MindmapDocument({ room: 'mindmap:m1' })
+  doc.seed({
+    nodes: [{ id: 'n1', position: { x: 0, y: 0 }, data: { label: 'a' } }, { id: 'n2', position: { x: 10, y: 0 }, data: { label: 'b' } }],
+    edges: [{ id: 'e1', source: 'n1', target: 'n2' }],
+    viewport: { x: 0, y: 0, zoom: 1 },
+  })
+  return doc
+}
+
+test('compareStamps orders by clock, then actor', () => {
+  assert.equal(compareStamps({ c: 1, a: 'b' }, { c: 2, a: 'a' }), -1)
+  assert.equal(compareStamps({ c: 2, a: 'b' }, { c: 2, a: 'a' }), 1)
+  assert.equal(compareStamps({ c: 2, a: 'a' }, { c: 2, a: 'a' }), 0)
+  assert.equal(compareStamps(null, { c: 0, a: '' }), -1)
+})
+
+test('flattenItem drops React Flow UI state', () => {
+  assert.deepEqual(
+    flattenItem({ id: 'n1', selected: true, dragging: false, position: { x: 1, y: 2 }, data: { label: 'a' } }),
+    { position: { x: 1, y: 2 }, 'data.label': 'a' },
+  )
+})
+
+test('seed loads the backend copy once', () => {
+  const doc = seeded()
+  doc.seed({ nodes: [], edges: [] })
+  const snapshot = doc.toSnapshot()
+  assert.equal(snapshot.nodes.length, 2)
+  assert.equal(snapshot.edges.length, 1)
+  assert.deepEqual(snapshot.viewport, { x: 0, y: 0, zoom: 1 })
+  assert.equal(doc.version, 0)
+})
+
+test('apply returns only the parts that took effect', () => {
+  const doc = seeded()
+  const later = [{ kind: 'node', op: 'set', id: 'n1', fields: { 'data.label': 'A' }, stamp: { c: 5, a: 's1' } }]
+  assert.equal(doc.apply(later).length, 1)
+  const stale = [{ kind: 'node', op: 'set', id: 'n1', fields: { 'data.label': 'old', 'data.color': 'red' }, stamp: { c: 3, a: 's2' } }]
+  assert.deepEqual(doc.apply(stale)[0].fields, { 'data.color': 'red' })
+  assert.equal(doc.toSnapshot().nodes.find((n) => n.id === 'n1').data.label, 'A')
+})
+
+test('the last edit to reach the server wins', () => {
+  const doc = seeded()
+  doc.apply(itemUpdateToOps('node', { id: 'n1', data: { label: 'from s1' } }, doc, 's1'))
+  doc.apply(itemUpdateToOps('node', { id: 'n1', data: { label: 'from s2' } }, doc, 's2'))
+  assert.equal(doc.toSnapshot().nodes.find((n) => n.id === 'n1').data.label, 'from s2')
+})
+
+test('replicas converge whatever order they apply ops in', () => {
+  const ops = [
+    { kind: 'node', op: 'set', id: 'n1', fields: { position: { x: 5, y: 5 } }, stamp: { c: 1, a: 's1' } },
+    { kind: 'node', op: 'set', id: 'n1', fields: { position: { x: 9, y: 9 } }, stamp: { c: 1, a: 's2' } },
+    { kind: 'node', op: 'remove', id: 'n2', stamp: { c: 2, a: 's1' } },
+    { kind: 'node', op: 'add', id: 'n3', fields: { position: { x: 0, y: 0 } }, stamp: { c: 2, a: 's2' } },
+  ]
+  const a = seeded()
+  const b = seeded()
+  a.apply(ops)
+  b.apply([...ops].reverse())
+  assert.deepEqual(a.toSnapshot(), b.toSnapshot())
+  assert.deepEqual(a.toSnapshot().nodes.find((n) => n.id === 'n1').position, { x: 9, y: 9 })
+})
+
+test('an edge whose endpoint was removed is not shown', () => {
+  const doc = seeded()
+  doc.apply(nodeChangesToOps([{ type: 'remove', id: 'n2' }], doc, 's1'))
+  assert.deepEqual(doc.toSnapshot().edges, [])
+})
+
+test('a later add brings a removed node back', () => {
+  const doc = seeded()
+  doc.apply(nodeChangesToOps([{ type: 'remove', id: 'n1' }], doc, 's1'))
+  doc.apply(nodeChangesToOps([{ type: 'add', item: { id: 'n1', position: { x: 1, y: 1 } } }], doc, 's2'))
+  assert.ok(doc.hasNode('n1'))
+})
+
+test('mergeState brings another replica up to date', () => {
+  const a = seeded()
+  a.apply(nodeChangesToOps([{ type: 'position', id: 'n1', position: { x: 7, y: 7 } }], a, 's1'))
+  a.apply(edgeChangesToOps([{ type: 'remove', id: 'e1' }], a, 's1'))
+  const b = new MindmapDocument({ room: 'mindmap:m1' })
+  b.mergeState(JSON.parse(JSON.stringify(a.exportState())))
+  assert.deepEqual(b.toSnapshot(), a.toSnapshot())
+  assert.ok(b.seeded)
+  assert.ok(b.tick('s2').c > a.clock)
+})
+
+test('nodeChangesToOps ignores selection and malformed changes', () => {
+  const doc = seeded()
+  const ops = nodeChangesToOps([
+    { type: 'select', id: 'n1', selected: true },
+    { type: 'position', id: 'n1' },
+    null,
+    { type: 'dimensions', id: 'n1', dimensions: { width: 100, height: 40 } },
+  ], doc, 's1')
+  assert.deepEqual(ops.map((op) => op.fields), [{ width: 100, height: 40 }])
+})
+
+test('connectionToOps names edges like React Flow', () => {
+  const doc = seeded()
+  const [op] = connectionToOps({ source: 'n1', target: 'n2', sourceHandle: 'r' }, doc, 's1')
+  assert.equal(op.id, 'reactflow__edge-n1r-n2')
+  assert.deepEqual(connectionToOps({ source: 'n1' }, doc, 's1'), [])
+})
+
+test('diffToDocumentOps leaves out fields a patch clears', () => {
+  const doc = seeded()
+  const ops = diffToDocumentOps([
+    { kind: 'node', op: 'patch', id: 'n1', from: { 'data.color': 'red' }, to: { 'data.color': null } },
+    { kind: 'node', op: 'patch', id: 'n1', from: { 'data.label': 'a', width: null }, to: { 'data.label': null, width: 80 } },
+  ], doc, 's1')
+  assert.equal(ops.length, 1)
+  assert.deepEqual(ops[0].fields, { width: 80 })
+  doc.apply(ops)
+  assert.equal(doc.toSnapshot().nodes.find((n) => n.id === 'n1').data.label, 'a')
+})
+
+test('pruneTombstones forgets removals up to a clock, and late ops on them', () => {
+  const doc = seeded()
+  doc.apply(nodeChangesToOps([{ type: 'remove', id: 'n1' }], doc, 's1'))
+  const savedAt = doc.clock
+  doc.apply(nodeChangesToOps([{ type: 'remove', id: 'n2' }], doc, 's1'))
+  assert.equal(doc.pruneTombstones(savedAt), 1)
+  assert.ok(!doc.nodes.has('n1'))
+  assert.ok(doc.nodes.has('n2'))
+
+  // An add stamped before the pruning point cannot bring n1 back
+  doc.apply([{ kind: 'node', op: 'add', id: 'n1', fields: { position: { x: 0, y: 0 } }, stamp: { c: savedAt, a: 's2' } }])
+  assert.ok(!doc.hasNode('n1'))
+  doc.apply(nodeChangesToOps([{ type: 'add', item: { id: 'n1', position: { x: 1, y: 1 } } }], doc, 's2'))
+  assert.ok(doc.hasNode('n1'))
+})
+
+test('pruned tombstones are not taken back from another replica', () => {
+  const a = seeded()
+  a.apply(nodeChangesToOps([{ type: 'remove', id: 'n1' }], a, 's1'))
+  const b = new MindmapDocument({ room: 'mindmap:m1' })
+  b.mergeState(JSON.parse(JSON.stringify(a.exportState())))
+  a.pruneTombstones(a.clock)
+  a.mergeState(JSON.parse(JSON.stringify(b.exportState())))
+  assert.ok(!a.nodes.has('n1'))
+  const c = new MindmapDocument({ room: 'mindmap:m1' })
+  c.mergeState(JSON.parse(JSON.stringify(a.exportState())))
+  c.mergeState(JSON.parse(JSON.stringify(b.exportState())))
+  assert.ok(!c.nodes.has('n1'))
+})
+
+test('tombstones are bounded', () => {
+  const doc = seeded()
+  for (let i = 0; i < 6000; i++) {
+    doc.apply(nodeChangesToOps([{ type: 'add', item: { id: `x${i}`, position: { x: i, y: 0 } } }], doc, 's1'))
+    doc.apply(nodeChangesToOps([{ type: 'remove', id: `x${i}` }], doc, 's1'))
+  }
+  assert.ok(doc.nodes.size < 5000)
+  assert.ok(!doc.nodes.has('x0'))
+  assert.ok(doc.nodes.has('x5999'))
+  assert.equal(doc.toSnapshot().nodes.length, 2)
+})
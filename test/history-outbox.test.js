@@ -0,0 +1,214 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+
+// The backend is a local server whose answers each test scripts
+const requests = []
+let respond = () => 200
+const server = http.createServer((req, res) => {
+  let body = ''
+  req.on('data', (chunk) => { body += chunk })
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+    res.writeHead(respond(requests.length)).end()
+  })
+})
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+// Config is read when modules load
+process.env.APP_BACKEND_URL = `http://127.0.0.1:${server.address().port}`
+process.env.INTERNAL_API_SECRET = 'test-secret'
+process.env.LOG_LEVEL = 'silent'
+const { FileHistoryOutbox, backoffDelay, isPermanentFailure, startHistoryOutboxWorker } = await import('../src/realtime/history-outbox.js')
+const { signPayload } = await import('../src/middleware/internal-auth.js')
+const { config } = await import('../src/config/app.config.js')
+
+const signedDelivery = async (run) => {
+  config.historySignedDelivery = true
+  try {
+    await run()
+  } finally {
+    config.historySignedDelivery = false
+  }
+}
+
+let dir
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')) })
+after(() => {
+  server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+const entry = (key, extra = {}) => ({ key, mindmapId: 'm1', userId: 'u1', body: { action: 'node_update' }, attempts: 0, ...extra })
+
+const worker = (outbox, options = {}) => startHistoryOutboxWorker(outbox, {
+  intervalMs: 60 * 1000,
+  batchSize: 10,
+  maxAttempts: 3,
+  baseDelayMs: 0,
+  maxDelayMs: 0,
+  ...options,
+})
+
+test('backoffDelay grows exponentially up to the cap, with jitter', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(1, { baseDelayMs: 1000, maxDelayMs: 60000 })
+    assert.ok(first >= 500 && first <= 1000)
+    const fourth = backoffDelay(4, { baseDelayMs: 1000, maxDelayMs: 60000 })
+    assert.ok(fourth >= 4000 && fourth <= 8000)
+    assert.ok(backoffDelay(30, { baseDelayMs: 1000, maxDelayMs: 60000 }) <= 60000)
+  }
+})
+
+test('isPermanentFailure retries timeouts and throttling, and a signed delivery\'s 401', () => {
+  for (const status of [400, 401, 403, 404, 422]) assert.equal(isPermanentFailure(status, { signed: false }), true, String(status))
+  for (const status of [null, 408, 429, 500, 503]) assert.equal(isPermanentFailure(status, { signed: false }), false, String(status))
+  assert.equal(isPermanentFailure(401, { signed: true }), false)
+  assert.equal(isPermanentFailure(403, { signed: true }), true)
+})
+
+test('claimed entries are leased until completed or retried', async () => {
+  const outbox = new FileHistoryOutbox({ file: path.join(dir, 'lease.jsonl'), leaseMs: 60 * 1000 })
+  await outbox.enqueue(entry('k1'))
+  await outbox.enqueue(entry('k2'))
+  assert.deepEqual((await outbox.claim(10)).map((e) => e.key), ['k1', 'k2'])
+  assert.deepEqual(await outbox.claim(10), [])
+  await outbox.complete('k1')
+  await outbox.retry(entry('k2', { attempts: 1 }), Date.now())
+  assert.deepEqual((await outbox.claim(10)).map((e) => [e.key, e.attempts]), [['k2', 1]])
+  await outbox.close()
+})
+
+test('pending and dead entries survive a restart', async () => {
+  const file = path.join(dir, 'restart.jsonl')
+  const outbox = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  await outbox.enqueue(entry('k1'))
+  await outbox.enqueue(entry('k2'))
+  await outbox.deadLetter(entry('k2'))
+  await outbox.close()
+  const reopened = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  assert.deepEqual(await reopened.stats(), { pending: 1, dead: 1 })
+  assert.equal((await reopened.claim(10))[0].key, 'k1')
+})
+
+test('changes are appended one record per line, and a torn last line is skipped', async () => {
+  const file = path.join(dir, 'append.jsonl')
+  const outbox = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  await outbox.enqueue(entry('k1'))
+  await outbox.enqueue(entry('k2'))
+  await outbox.complete('k1')
+  await outbox.close()
+  const records = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line))
+  assert.deepEqual(records.map((r) => [r.op, r.entry?.key || r.key]), [['put', 'k1'], ['put', 'k2'], ['delete', 'k1']])
+
+  fs.appendFileSync(file, '{"op":"put","entry":{"key":"k3"')
+  const reopened = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  assert.deepEqual((await reopened.claim(10)).map((e) => e.key), ['k2'])
+  await reopened.enqueue(entry('k4'))
+  await reopened.close()
+  assert.deepEqual(await new FileHistoryOutbox({ file, leaseMs: 1000 }).stats(), { pending: 2, dead: 0 })
+})
+
+test('the file is compacted into one record of what is left', async () => {
+  const file = path.join(dir, 'compact.jsonl')
+  const outbox = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  for (let i = 0; i < 600; i++) {
+    await outbox.enqueue(entry(`k${i}`))
+    if (i % 100 !== 0) await outbox.complete(`k${i}`)
+  }
+  await outbox.deadLetter(entry('k0'))
+  await outbox.close()
+  assert.ok(fs.readFileSync(file, 'utf8').trim().split('\n').length < 200)
+  const reopened = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  assert.deepEqual(await reopened.stats(), { pending: 5, dead: 1 })
+  assert.deepEqual((await reopened.claim(10)).map((e) => e.key), ['k100', 'k200', 'k300', 'k400', 'k500'])
+})
+
+test('entries are delivered with their author\'s token by default', async () => {
+  requests.length = 0
+  respond = () => 200
+  const outbox = new FileHistoryOutbox({ file: path.join(dir, 'token.jsonl'), leaseMs: 1000 })
+  await outbox.enqueue(entry('k1', { token: 'user-jwt' }))
+  const w = worker(outbox)
+  await w.drain()
+  await w.stop()
+
+  const [req] = requests
+  assert.equal(req.headers.authorization, 'Bearer user-jwt')
+  assert.equal(req.headers['x-riverflow-signature'], undefined)
+  assert.equal(req.headers['idempotency-key'], 'k1')
+  assert.deepEqual(JSON.parse(req.body), { action: 'node_update' })
+})
+
+test('with signed delivery, entries are sent as the service on behalf of their user', async () => {
+  requests.length = 0
+  respond = () => 200
+  const outbox = new FileHistoryOutbox({ file: path.join(dir, 'signed.jsonl'), leaseMs: 1000 })
+  await outbox.enqueue(entry('k1'))
+  const w = worker(outbox)
+  await signedDelivery(() => w.drain())
+  await w.stop()
+
+  assert.equal(requests.length, 1)
+  const [req] = requests
+  assert.equal(req.url, '/mindmaps/m1/history')
+  assert.equal(req.headers['idempotency-key'], 'k1')
+  assert.equal(req.headers.authorization, undefined)
+  const signature = `sha256=${signPayload('test-secret', req.headers['x-riverflow-timestamp'], req.body)}`
+  assert.equal(req.headers['x-riverflow-signature'], signature)
+  assert.deepEqual(JSON.parse(req.body), { action: 'node_update', userId: 'u1' })
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 0 })
+})
+
+test('with signed delivery, a 401 is retried, and tokens from older entries are not kept', async () => {
+  requests.length = 0
+  respond = (n) => (n === 1 ? 401 : 200)
+  const file = path.join(dir, 'retry.jsonl')
+  const outbox = new FileHistoryOutbox({ file, leaseMs: 1000 })
+  const retried = []
+  const w = worker(outbox, { onRetry: (e) => retried.push(e) })
+  await signedDelivery(async () => {
+    await outbox.enqueue(entry('k1', { token: 'user-jwt' }))
+    await w.drain()
+    assert.equal(retried.length, 1)
+    assert.equal(retried[0].attempts, 1)
+    assert.equal(retried[0].lastStatus, 401)
+    assert.ok(!('token' in retried[0]))
+    await outbox.close()
+    assert.ok(!fs.readFileSync(file, 'utf8').trim().split('\n').at(-1).includes('user-jwt'))
+    await w.drain()
+  })
+  await w.stop()
+  assert.equal(requests.length, 2)
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 0 })
+})
+
+test('permanent failures and exhausted retries are dead-lettered', async () => {
+  requests.length = 0
+  respond = (n) => (n === 1 ? 400 : 503)
+  const outbox = new FileHistoryOutbox({ file: path.join(dir, 'dead.jsonl'), leaseMs: 1000 })
+  await outbox.enqueue(entry('k1'))
+  await outbox.enqueue(entry('k2', { attempts: 2 }))
+  const dead = []
+  const w = worker(outbox, { onDeadLetter: (e) => dead.push(e) })
+  await w.drain()
+  await w.stop()
+  assert.deepEqual(dead.map((e) => [e.key, e.attempts, e.lastStatus]), [['k1', 1, 400], ['k2', 3, 503]])
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 2 })
+})
+
+test('a 409 means the backend already has the entry', async () => {
+  requests.length = 0
+  respond = () => 409
+  const outbox = new FileHistoryOutbox({ file: path.join(dir, 'conflict.jsonl'), leaseMs: 1000 })
+  await outbox.enqueue(entry('k1'))
+  const delivered = []
+  const w = worker(outbox, { onDelivered: (e) => delivered.push(e.key) })
+  await w.drain()
+  await w.stop()
+  assert.deepEqual(delivered, ['k1'])
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 0 })
+})
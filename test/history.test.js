@@ -0,0 +1,149 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import RedisMock from 'ioredis-mock'
+import { MemoryHistoryStore, RedisHistoryStore } from '../src/realtime/history.js'
+
+const ROOM = 'mindmap:m1'
+const options = { maxSize: 50, idleTtlMs: 60 * 1000, checkpointEvery: 20 }
+const labelled = (...labels) => ({ nodes: labels.map((label, i) => ({ id: `n${i}`, data: { label } })), edges: [] })
+
+// ioredis-mock clients share one store, like two instances on one Redis
+const stores = {
+  memory: () => new MemoryHistoryStore(options),
+  redis: (prefix = `test:history:${Math.random()}`) => new RedisHistoryStore({ redis: new RedisMock(), prefix, ...options }),
+}
+
+for (const [name, create] of Object.entries(stores)) {
+  test(`${name}: the first snapshot is the baseline, later ones can be undone and redone`, async () => {
+    const history = create()
+    assert.deepEqual(await history.record(ROOM, 'u1', labelled('a')), { canUndo: false, canRedo: false, past: 0, future: 0 })
+    assert.equal((await history.record(ROOM, 'u1', labelled('b'))).canUndo, true)
+    assert.deepEqual((await history.current(ROOM)).nodes, labelled('b').nodes)
+
+    const undone = await history.undo(ROOM, 'u1')
+    assert.deepEqual([undone.canUndo, undone.canRedo], [false, true])
+    assert.deepEqual((await history.current(ROOM)).nodes, labelled('a').nodes)
+    assert.equal(await history.undo(ROOM, 'u1'), null)
+
+    await history.redo(ROOM, 'u1')
+    assert.deepEqual((await history.current(ROOM)).nodes, labelled('b').nodes)
+  })
+
+  test(`${name}: an unchanged snapshot records nothing, and a new change drops the redo`, async () => {
+    const history = create()
+    await history.record(ROOM, 'u1', labelled('a'))
+    await history.record(ROOM, 'u1', labelled('b'))
+    assert.equal((await history.record(ROOM, 'u1', labelled('b'))).past, 1)
+    await history.undo(ROOM, 'u1')
+    assert.deepEqual(await history.record(ROOM, 'u1', labelled('c')), { canUndo: true, canRedo: false, past: 1, future: 0 })
+  })
+
+  test(`${name}: each author keeps at most maxSize entries`, async () => {
+    const history = create()
+    for (let i = 0; i <= 60; i++) await history.record(ROOM, 'u1', labelled(`v${i}`))
+    assert.equal((await history.state(ROOM, 'u1')).past, 50)
+    assert.deepEqual(await history.depth(ROOM), [{ author: 'u1', canUndo: true, canRedo: false, past: 50, future: 0 }])
+  })
+
+  test(`${name}: clear forgets the room`, async () => {
+    const history = create()
+    await history.record(ROOM, 'u1', labelled('a'))
+    await history.record(ROOM, 'u1', labelled('b'))
+    assert.equal(await history.clear(ROOM), true)
+    assert.equal(await history.current(ROOM), null)
+    assert.equal((await history.state(ROOM, 'u1')).canUndo, false)
+  })
+}
+
+test('redis: instances sharing Redis see one history', async () => {
+  const prefix = `test:history:${Math.random()}`
+  const first = stores.redis(prefix)
+  const second = stores.redis(prefix)
+  await first.record(ROOM, 'u1', labelled('a'))
+  await first.record(ROOM, 'u1', labelled('b'))
+  assert.equal((await second.state(ROOM, 'u1')).canUndo, true)
+  await second.undo(ROOM, 'u1')
+  assert.deepEqual((await first.current(ROOM)).nodes, labelled('a').nodes)
+})
+
+test('memory: idle rooms are evicted, and a room can be handed over', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 1000 })
+  try {
+    const history = stores.memory()
+    await history.record(ROOM, 'u1', labelled('a'))
+    await history.record(ROOM, 'u1', labelled('b'))
+    const exported = await history.exportRoom(ROOM)
+
+    mock.timers.tick(61 * 1000)
+    await history.record('mindmap:m2', 'u1', labelled('x'))
+    assert.equal(await history.evictIdle(), 1)
+    assert.equal(await history.current(ROOM), null)
+
+    const next = stores.memory()
+    await next.importRoom(ROOM, JSON.parse(JSON.stringify(exported)))
+    assert.equal((await next.state(ROOM, 'u1')).canUndo, true)
+    await next.undo(ROOM, 'u1')
+    assert.deepEqual((await next.current(ROOM)).nodes, labelled('a').nodes)
+  } finally {
+    mock.timers.reset()
+  }
+})
+
+for (const [name, create] of Object.entries(stores)) {
+  test(`${name}: undo reverts only the requester's own change, keeping collaborators' later edits`, async () => {
+    const history = create()
+    await history.record(ROOM, 'u1', labelled('a', 'x'))
+    await history.record(ROOM, 'u1', labelled('b', 'x'))
+    await history.record(ROOM, 'u2', labelled('b', 'y'))
+
+    assert.deepEqual(await history.state(ROOM, 'u1'), { canUndo: true, canRedo: false, past: 1, future: 0 })
+    assert.deepEqual(await history.state(ROOM, 'u3'), { canUndo: false, canRedo: false, past: 0, future: 0 })
+    const undone = await history.undo(ROOM, 'u1')
+    assert.equal(undone.entry.author, 'u1')
+    assert.deepEqual(undone.changes, [{ kind: 'node', op: 'patch', id: 'n0', from: { 'data.label': 'b' }, to: { 'data.label': 'a' } }])
+    assert.deepEqual((await history.current(ROOM)).nodes, labelled('a', 'y').nodes)
+    assert.equal((await history.state(ROOM, 'u2')).canUndo, true)
+
+    await history.undo(ROOM, 'u2')
+    assert.deepEqual((await history.current(ROOM)).nodes, labelled('a', 'x').nodes)
+    await history.redo(ROOM, 'u1')
+    assert.deepEqual((await history.current(ROOM)).nodes, labelled('b', 'x').nodes)
+  })
+
+  test(`${name}: a change by one author leaves the others' redo alone`, async () => {
+    const history = create()
+    await history.record(ROOM, 'u1', labelled('a', 'x'))
+    await history.record(ROOM, 'u1', labelled('b', 'x'))
+    await history.undo(ROOM, 'u1')
+    await history.record(ROOM, 'u2', labelled('a', 'y'))
+    assert.equal((await history.state(ROOM, 'u1')).canRedo, true)
+    assert.deepEqual((await history.depth(ROOM)).map((d) => [d.author, d.past, d.future]).sort(), [['u1', 0, 1], ['u2', 1, 0]])
+  })
+}
+
+test('memory: entries are diffs, folded into a checkpoint every checkpointEvery changes', async () => {
+  const history = new MemoryHistoryStore({ ...options, checkpointEvery: 3 })
+  await history.record(ROOM, 'u1', labelled('v0', 'x'))
+  for (let i = 1; i <= 4; i++) await history.record(ROOM, 'u1', labelled(`v${i}`, 'x'))
+  const { checkpoint, journal, users } = history.rooms.get(ROOM)
+  assert.deepEqual(checkpoint.nodes, labelled('v3', 'x').nodes)
+  assert.equal(journal.length, 1)
+  // The unchanged node is in no entry
+  const [entry] = users.get('u1').past.slice(-1)
+  assert.deepEqual(entry.changes, [{ kind: 'node', op: 'patch', id: 'n0', from: { 'data.label': 'v3' }, to: { 'data.label': 'v4' } }])
+})
+
+test('redis: the state is rebuilt from the checkpoint and its journal, which undo folds once long', async () => {
+  const redis = new RedisMock()
+  const prefix = `test:history:${Math.random()}`
+  const history = new RedisHistoryStore({ redis, prefix, ...options, checkpointEvery: 3 })
+  await history.record(ROOM, 'u1', labelled('v0'))
+  for (let i = 1; i <= 7; i++) await history.record(ROOM, 'u1', labelled(`v${i}`))
+  assert.deepEqual(JSON.parse(await redis.get(`${prefix}:${ROOM}:checkpoint`)).nodes, labelled('v6').nodes)
+  assert.equal(await redis.llen(`${prefix}:${ROOM}:journal`), 1)
+
+  // Folded when the fifth undo made the journal six long
+  for (let i = 0; i < 7; i++) await history.undo(ROOM, 'u1')
+  assert.equal(await redis.llen(`${prefix}:${ROOM}:journal`), 2)
+  assert.deepEqual((await history.current(ROOM)).nodes, labelled('v0').nodes)
+})
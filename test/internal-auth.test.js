@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Config is read when modules load
+process.env.INTERNAL_API_SECRET = 'test-secret'
+process.env.METRICS_TOKEN = 'metrics-token'
+process.env.LOG_LEVEL = 'silent'
+const { requireInternalSignature, requireMetricsToken, requireAdminToken, signPayload, TIMESTAMP_HEADER, SIGNATURE_HEADER } = await import('../src/middleware/internal-auth.js')
+
+const signed = (body, { secret = 'test-secret', timestamp = Date.now() } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(body))
+  return { rawBody, [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: `sha256=${signPayload(secret, timestamp, rawBody)}` }
+}
+
+// Runs a request through the middleware; resolves to 'next' or the rejection
+const call = (middleware, { rawBody, ...headers } = {}) => new Promise((resolve) => {
+  const req = { rawBody, headers, get: (name) => headers[name.toLowerCase()] }
+  const res = {
+    status(code) {
+      return { json: (body) => resolve({ status: code, ...body }) }
+    },
+  }
+  middleware(req, res, () => resolve('next'))
+})
+
+test('signPayload is the HMAC of the timestamp and the raw body', () => {
+  assert.equal(signPayload('s', '1', Buffer.from('{}')), signPayload('s', '1', '{}'))
+  assert.notEqual(signPayload('s', '1', '{}'), signPayload('s', '2', '{}'))
+  assert.equal(signPayload('s', '1', undefined), signPayload('s', '1', ''))
+})
+
+test('a correctly signed request passes once, and its replay is refused', async () => {
+  const request = signed({ room: 'mindmap:m1', event: 'x' })
+  assert.equal(await call(requireInternalSignature, request), 'next')
+  const replayed = await call(requireInternalSignature, request)
+  assert.deepEqual([replayed.status, replayed.error], [401, 'replayed signature'])
+})
+
+test('missing, stale, tampered and wrongly keyed signatures are refused', async () => {
+  const refused = async (request) => {
+    const result = await call(requireInternalSignature, request)
+    assert.equal(result.status, 401)
+    return result.error
+  }
+  assert.equal(await refused({ rawBody: Buffer.from('{}') }), 'missing signature')
+  assert.equal(await refused(signed({}, { timestamp: Date.now() - 10 * 60 * 1000 })), 'stale signature')
+  assert.equal(await refused(signed({}, { timestamp: Date.now() + 10 * 60 * 1000 })), 'stale signature')
+  assert.equal(await refused({ ...signed({}), [TIMESTAMP_HEADER]: 'soon' }), 'stale signature')
+  assert.equal(await refused({ ...signed({ a: 1 }), rawBody: Buffer.from('{"a":2}') }), 'invalid signature')
+  assert.equal(await refused(signed({}, { secret: 'other' })), 'invalid signature')
+})
+
+test('a signature without its sha256= prefix is accepted', async () => {
+  const request = signed({ n: 1 })
+  request[SIGNATURE_HEADER] = request[SIGNATURE_HEADER].slice('sha256='.length)
+  assert.equal(await call(requireInternalSignature, request), 'next')
+})
+
+test('bearer guards check the configured tokens', async () => {
+  assert.equal(await call(requireMetricsToken, { authorization: 'Bearer metrics-token' }), 'next')
+  assert.equal((await call(requireMetricsToken, { authorization: 'Bearer nope' })).status, 401)
+  // The admin API stays closed without a token of its own
+  assert.equal((await call(requireAdminToken, { authorization: 'Bearer metrics-token' })).error, 'admin api not configured')
+})
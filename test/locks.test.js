@@ -0,0 +1,111 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import RedisMock from 'ioredis-mock'
+
+// Config is read when modules load
+process.env.LOG_LEVEL = 'silent'
+const { MemoryLockStore, RedisLockStore, enforceLocks } = await import('../src/realtime/locks.js')
+
+const ROOM = 'mindmap:m1'
+const holder = (clientId, id = 'n1', kind = 'node') => ({ kind, id, clientId, name: `user ${clientId}` })
+
+const stores = {
+  memory: () => new MemoryLockStore(),
+  redis: () => new RedisLockStore({ redis: new RedisMock(), prefix: `test:locks:${Math.random()}` }),
+}
+
+for (const [name, create] of Object.entries(stores)) {
+  test(`${name}: a lease is exclusive until its holder releases it`, async () => {
+    const locks = create()
+    assert.equal((await locks.acquire(ROOM, holder('a'), 10000)).granted, true)
+    const denied = await locks.acquire(ROOM, holder('b'), 10000)
+    assert.equal(denied.granted, false)
+    assert.equal(denied.lock.clientId, 'a')
+    assert.equal((await locks.release(ROOM, 'node', 'n1', 'b')), false)
+    assert.equal((await locks.release(ROOM, 'node', 'n1', 'a')), true)
+    assert.equal(await locks.get(ROOM, 'node', 'n1'), null)
+    assert.equal((await locks.acquire(ROOM, holder('b'), 10000)).granted, true)
+  })
+
+  test(`${name}: claiming again renews the holder's lease`, async () => {
+    const locks = create()
+    assert.equal((await locks.acquire(ROOM, holder('a'), 10000)).renewed, false)
+    const again = await locks.acquire(ROOM, holder('a'), 10000)
+    assert.equal(again.granted, true)
+    assert.equal(again.renewed, true)
+  })
+
+  test(`${name}: releaseAll drops only the client's leases`, async () => {
+    const locks = create()
+    await locks.acquire(ROOM, holder('a', 'n1'), 10000)
+    await locks.acquire(ROOM, holder('a', 'e1', 'edge'), 10000)
+    await locks.acquire(ROOM, holder('b', 'n2'), 10000)
+    const released = await locks.releaseAll(ROOM, 'a')
+    assert.deepEqual(released.map((lock) => `${lock.kind}:${lock.id}`).sort(), ['edge:e1', 'node:n1'])
+    assert.deepEqual((await locks.list(ROOM)).map((lock) => lock.clientId), ['b'])
+  })
+
+  test(`${name}: expired leases stop counting and are swept once`, async () => {
+    mock.timers.enable({ apis: ['Date'], now: 1000 })
+    try {
+      const locks = create()
+      await locks.acquire(ROOM, holder('a', 'n1'), 1000)
+      await locks.acquire(ROOM, holder('a', 'n2'), 5000)
+      mock.timers.tick(2000)
+      assert.equal(await locks.get(ROOM, 'node', 'n1'), null)
+      assert.deepEqual((await locks.list(ROOM)).map((lock) => lock.id), ['n2'])
+      assert.deepEqual((await locks.sweep(ROOM)).map((lock) => lock.id), ['n1'])
+      assert.deepEqual(await locks.sweep(ROOM), [])
+      assert.equal((await locks.acquire(ROOM, holder('b', 'n1'), 1000)).renewed, false)
+    } finally {
+      mock.timers.reset()
+    }
+  })
+}
+
+const fakeSocket = (id) => ({
+  id,
+  data: {},
+  handshake: { auth: {} },
+  emitted: [],
+  emit(event, payload) { this.emitted.push([event, payload]) },
+})
+
+// Runs a packet through the middleware; resolves true when it reaches its handler
+const send = (middleware, packet) => new Promise((resolve) => {
+  middleware([...packet, (result) => resolve(result)], () => resolve(true))
+})
+
+const options = { ttlMs: 10000, resolveRoom: (packet) => packet[1] }
+
+test('enforceLocks rejects updates to an element someone else holds', async () => {
+  const locks = new MemoryLockStore()
+  await locks.acquire(ROOM, holder('a'), 10000)
+  const middleware = enforceLocks(fakeSocket('b'), locks, options)
+  const result = await send(middleware, ['mindmap:nodes:update', ROOM, { id: 'n1' }])
+  assert.equal(result.code, 'locked')
+  assert.equal(result.lock.clientId, 'a')
+  assert.match(result.error, /user a/)
+  assert.equal(await send(middleware, ['mindmap:nodes:update', ROOM, { id: 'n2' }]), true)
+  assert.equal(await send(middleware, ['mindmap:edges:update', ROOM, { id: 'n1' }]), true)
+})
+
+test('enforceLocks lets the holder through and extends its lease', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 1000 })
+  try {
+    const locks = new MemoryLockStore()
+    await locks.acquire(ROOM, holder('a'), 1000)
+    const middleware = enforceLocks(fakeSocket('a'), locks, options)
+    assert.equal(await send(middleware, ['mindmap:nodes:update', ROOM, { id: 'n1' }]), true)
+    assert.equal((await locks.get(ROOM, 'node', 'n1')).expiresAt, 11000)
+  } finally {
+    mock.timers.reset()
+  }
+})
+
+test('enforceLocks ignores other events and lets edits through when the store fails', async () => {
+  const failing = { get: async () => { throw new Error('redis down') } }
+  const middleware = enforceLocks(fakeSocket('b'), failing, options)
+  assert.equal(await send(middleware, ['chat:message', ROOM, { id: 'n1' }]), true)
+  assert.equal(await send(middleware, ['mindmap:nodes:update', ROOM, { id: 'n1' }]), true)
+})
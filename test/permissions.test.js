@@ -0,0 +1,89 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizePermissionChange, applyPermissionChange, roleCanEdit } from '../src/realtime/permissions.js'
+import { grantRoomAccess, roomAccess, canEditRoom } from '../src/realtime/authorization.js'
+
+const ROOM = 'mindmap:m1'
+
+const fakeSocket = (id, { user = null, access = null } = {}) => {
+  const socket = {
+    id,
+    data: { user },
+    handshake: { auth: {} },
+    rooms: new Set([id, ROOM]),
+    emitted: [],
+    emit(event, payload) { this.emitted.push([event, payload]) },
+    leave(room) { this.rooms.delete(room) },
+  }
+  if (access) grantRoomAccess(socket, ROOM, access)
+  return socket
+}
+
+const fakeNamespace = (...sockets) => ({ sockets: new Map(sockets.map((s) => [s.id, s])) })
+
+test('roleCanEdit accepts the editing roles, in any case', () => {
+  for (const role of ['owner', 'Editor', 'edit', 'ADMIN']) assert.equal(roleCanEdit(role), true, role)
+  for (const role of ['viewer', '', null, undefined]) assert.equal(roleCanEdit(role), false, String(role))
+})
+
+test('normalizePermissionChange reads the backend payloads and their aliases', () => {
+  assert.deepEqual(normalizePermissionChange(7, 'collaborator_role_changed', { collaboratorUserId: 'u1', newRole: 'editor' }), {
+    mindmapId: '7', room: 'mindmap:7', eventType: 'collaborator_role_changed', userId: 'u1', role: 'editor', publicAccessLevel: null,
+  })
+  assert.equal(normalizePermissionChange('m1', 'public_access_changed', { isPublic: false, publicAccessLevel: 'edit' }).publicAccessLevel, 'private')
+  assert.equal(normalizePermissionChange('m1', 'public_access_changed', { accessLevel: 'view' }).publicAccessLevel, 'view')
+  assert.equal(normalizePermissionChange('m1', 'collaborator_removed', null).userId, null)
+})
+
+test("a role change updates the user's own sockets, but not the ones that came through a share link", () => {
+  const tab1 = fakeSocket('s1', { user: { id: 'u1' }, access: { canEdit: false, mindmapId: 'm1' } })
+  const tab2 = fakeSocket('s2', { user: { id: 'u1' }, access: { canEdit: false, mindmapId: 'm1' } })
+  const viaLink = fakeSocket('s3', { user: { id: 'u1' }, access: { canEdit: false, shareToken: 'link' } })
+  const other = fakeSocket('s4', { user: { id: 'u2' }, access: { canEdit: false } })
+  const change = normalizePermissionChange('m1', 'collaborator_role_changed', { userId: 'u1', role: 'editor' })
+  assert.deepEqual(applyPermissionChange(fakeNamespace(tab1, tab2, viaLink, other), change), { updated: 2, revoked: 0 })
+
+  assert.deepEqual(roomAccess(tab1, ROOM), { canEdit: true, mindmapId: 'm1' })
+  assert.equal(canEditRoom(tab2, ROOM), true)
+  assert.equal(canEditRoom(viaLink, ROOM), false)
+  assert.equal(canEditRoom(other, ROOM), false)
+  assert.deepEqual(tab1.emitted, [['permission:updated', { room: ROOM, mindmapId: 'm1', canEdit: true, reason: 'role_changed', role: 'editor' }]])
+})
+
+test('a removed collaborator loses access and leaves the room and its feature rooms', () => {
+  const socket = fakeSocket('s1', { user: { id: 'u1' }, access: { canEdit: true } })
+  socket.rooms.add(`doc-ops:${ROOM}`)
+  const revoked = []
+  const change = normalizePermissionChange('m1', 'collaborator_removed', { userId: 'u1' })
+  const result = applyPermissionChange(fakeNamespace(socket), change, { onRevoke: (s, room) => revoked.push([s.id, room]) })
+
+  assert.deepEqual(result, { updated: 0, revoked: 1 })
+  assert.equal(roomAccess(socket, ROOM), null)
+  assert.deepEqual([...socket.rooms], ['s1'])
+  assert.deepEqual(revoked, [['s1', ROOM]])
+  assert.deepEqual(socket.emitted, [['permission:revoked', { room: ROOM, mindmapId: 'm1', reason: 'collaborator_removed' }]])
+})
+
+test('public access changes reach only the sockets that came through a share link', () => {
+  const viaLink = fakeSocket('s1', { access: { canEdit: false, shareToken: 'link' } })
+  const member = fakeSocket('s2', { user: { id: 'u1' }, access: { canEdit: false } })
+  const nsp = fakeNamespace(viaLink, member)
+
+  applyPermissionChange(nsp, normalizePermissionChange('m1', 'public_access_changed', { publicAccessLevel: 'EDIT' }))
+  assert.equal(canEditRoom(viaLink, ROOM), true)
+  assert.equal(member.emitted.length, 0)
+
+  const result = applyPermissionChange(nsp, normalizePermissionChange('m1', 'public_access_changed', { isPublic: false }))
+  assert.deepEqual(result, { updated: 0, revoked: 1 })
+  assert.equal(roomAccess(viaLink, ROOM), null)
+  assert.ok(roomAccess(member, ROOM))
+})
+
+test('sockets outside the room, and changes without a level, are left alone', () => {
+  const outside = fakeSocket('s1', { user: { id: 'u1' } })
+  const viaLink = fakeSocket('s2', { access: { canEdit: true, shareToken: 'link' } })
+  const nsp = fakeNamespace(outside, viaLink)
+  assert.deepEqual(applyPermissionChange(nsp, normalizePermissionChange('m1', 'collaborator_removed', { userId: 'u1' })), { updated: 0, revoked: 0 })
+  assert.deepEqual(applyPermissionChange(nsp, normalizePermissionChange('m1', 'public_access_changed', {})), { updated: 0, revoked: 0 })
+  assert.equal(canEditRoom(viaLink, ROOM), true)
+})
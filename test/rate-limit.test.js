@@ -0,0 +1,130 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryRateLimiter, parseRateLimits, rateLimitEvents, getRateLimitStats } from '../src/realtime/rate-limit.js'
+
+const fakeSocket = ({ user = null } = {}) => ({
+  id: `s${Math.random()}`,
+  data: { user },
+  emitted: [],
+  disconnected: false,
+  emit(event, payload) { this.emitted.push([event, payload]) },
+  disconnect() { this.disconnected = true },
+})
+
+// Runs a packet through the middleware; resolves true when it reaches its handler
+const send = (middleware, event) => new Promise((resolve) => {
+  const packet = [event, 'mindmap:m1', () => resolve(false)]
+  middleware(packet, () => resolve(true))
+})
+
+test('parseRateLimits reads event=rate:burst overrides', () => {
+  assert.deepEqual(parseRateLimits('chat:message=2:4, cursor:move=10,bad,=1:1,zero=0:5'), {
+    'chat:message': { rate: 2, burst: 4 },
+    'cursor:move': { rate: 10, burst: 10 },
+  })
+})
+
+test('buckets allow a burst, then refill at the rate', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 1000 })
+  try {
+    const limiter = new MemoryRateLimiter()
+    const limit = { rate: 2, burst: 3 }
+    for (let i = 0; i < 3; i++) assert.equal(await limiter.take('k', limit), true)
+    assert.equal(await limiter.take('k', limit), false)
+    mock.timers.tick(500)
+    assert.equal(await limiter.take('k', limit), true)
+    assert.equal(await limiter.take('k', limit), false)
+  } finally {
+    mock.timers.reset()
+  }
+})
+
+test('fully refilled buckets are swept', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 1000 })
+  try {
+    const limiter = new MemoryRateLimiter({ sweepIntervalMs: 1000 })
+    await limiter.take('a', { rate: 1, burst: 2 })
+    await limiter.take('b', { rate: 0.1, burst: 2 })
+    mock.timers.tick(2000)
+    await limiter.take('c', { rate: 1, burst: 2 })
+    assert.deepEqual([...limiter.buckets.keys()], ['b', 'c'])
+  } finally {
+    mock.timers.reset()
+  }
+})
+
+test("each of a user's sockets gets its own buckets", async () => {
+  const limiter = new MemoryRateLimiter()
+  const options = { limits: { 'chat:message': { rate: 0.001, burst: 1 } }, maxViolations: 10, violationWindowMs: 1000 }
+  const first = rateLimitEvents(fakeSocket({ user: { id: 'u1' } }), limiter, options)
+  const second = rateLimitEvents(fakeSocket({ user: { id: 'u1' } }), limiter, options)
+  assert.equal(await send(first, 'chat:message'), true)
+  assert.equal(await send(first, 'chat:message'), false)
+  assert.equal(await send(second, 'chat:message'), true)
+})
+
+test("userFactor caps a user's sockets together", async () => {
+  const limiter = new MemoryRateLimiter()
+  const options = { limits: { 'chat:message': { rate: 0.001, burst: 2 } }, maxViolations: 10, violationWindowMs: 1000, userFactor: 1.5 }
+  const sockets = [1, 2, 3].map(() => rateLimitEvents(fakeSocket({ user: { id: 'u1' } }), limiter, options))
+  const other = rateLimitEvents(fakeSocket({ user: { id: 'u2' } }), limiter, options)
+  const anonymous = rateLimitEvents(fakeSocket(), limiter, options)
+  assert.equal(await send(sockets[0], 'chat:message'), true)
+  assert.equal(await send(sockets[1], 'chat:message'), true)
+  assert.equal(await send(sockets[2], 'chat:message'), true)
+  assert.equal(await send(sockets[2], 'chat:message'), false)
+  assert.equal(await send(other, 'chat:message'), true)
+  assert.equal(await send(anonymous, 'chat:message'), true)
+})
+
+test('events without a limit of their own share the * bucket', async () => {
+  const limiter = new MemoryRateLimiter()
+  const limits = { 'chat:message': { rate: 1, burst: 5 }, '*': { rate: 0.001, burst: 2 } }
+  const socket = fakeSocket()
+  const middleware = rateLimitEvents(socket, limiter, { limits, maxViolations: 10, violationWindowMs: 1000 })
+  assert.equal(await send(middleware, 'made:up:1'), true)
+  assert.equal(await send(middleware, 'made:up:2'), true)
+  assert.equal(await send(middleware, 'made:up:3'), false)
+  assert.deepEqual([...limiter.buckets.keys()], [`socket:${socket.id}:*`])
+  assert.ok(!('made:up:3' in getRateLimitStats().byEvent))
+})
+
+test('throttled packets are answered, and a socket that keeps flooding is disconnected', async () => {
+  const socket = fakeSocket()
+  const limits = { 'cursor:move': { rate: 0.001, burst: 1 } }
+  const middleware = rateLimitEvents(socket, new MemoryRateLimiter(), { limits, maxViolations: 1, violationWindowMs: 60 * 1000 })
+  assert.equal(await send(middleware, 'cursor:move'), true)
+
+  const acked = await new Promise((resolve) => middleware(['cursor:move', (result) => resolve(result)], () => resolve(null)))
+  assert.equal(acked.code, 'rate_limited')
+  assert.ok(acked.retryAfterMs > 0)
+  assert.equal(socket.disconnected, false)
+
+  middleware(['cursor:move'], () => { })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.equal(socket.emitted[0][0], 'realtime:error')
+  assert.equal(socket.disconnected, true)
+})
+
+test('throttled volatile packets are dropped quietly', async () => {
+  const socket = fakeSocket()
+  const limits = { 'cursor:move': { rate: 0.001, burst: 1 } }
+  const middleware = rateLimitEvents(socket, new MemoryRateLimiter(), {
+    limits, maxViolations: 1, violationWindowMs: 60 * 1000, isVolatile: ([event]) => event === 'cursor:move',
+  })
+  assert.equal(await send(middleware, 'cursor:move'), true)
+  for (let i = 0; i < 5; i++) middleware(['cursor:move', 'mindmap:m1', { x: i }], () => { })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepEqual(socket.emitted, [])
+  assert.equal(socket.disconnected, false)
+
+  // One that asked for an answer still gets it
+  const acked = await new Promise((resolve) => middleware(['cursor:move', (result) => resolve(result)], () => resolve(null)))
+  assert.equal(acked.code, 'rate_limited')
+})
+
+test('a failing limiter lets events through', async () => {
+  const limiter = { take: async () => { throw new Error('redis down') } }
+  const middleware = rateLimitEvents(fakeSocket(), limiter, { limits: { '*': { rate: 1, burst: 1 } }, maxViolations: 1, violationWindowMs: 1000 })
+  assert.equal(await send(middleware, 'chat:message'), true)
+})
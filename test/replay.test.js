@@ -0,0 +1,142 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import RedisMock from 'ioredis-mock'
+import { MemoryReplayLog, RedisReplayLog, RESYNC, nextSeq } from '../src/realtime/replay.js'
+
+const ROOM = 'mindmap:m1'
+const log = (options = {}) => new MemoryReplayLog({ maxEvents: 100, maxBytes: 64 * 1024, ttlMs: 60 * 1000, ...options })
+const chat = (text, origin = null) => ({ event: 'chat:message', payload: { text }, origin })
+
+test('nextSeq follows the clock and always increases', () => {
+  const first = nextSeq()
+  assert.ok(first >= Date.now() * 1000 - 1000)
+  const ahead = first + 10 ** 9
+  assert.equal(nextSeq(ahead), ahead + 1)
+})
+
+test('append numbers events in order, synchronously', () => {
+  const replay = log()
+  const a = replay.append(ROOM, chat('a'))
+  const b = replay.append(ROOM, chat('b'))
+  assert.equal(typeof a, 'number')
+  assert.ok(b > a)
+})
+
+test('since returns exactly the events after lastSeq', async () => {
+  const replay = log()
+  const start = await replay.current(ROOM)
+  const a = replay.append(ROOM, chat('a', 's1'))
+  const b = replay.append(ROOM, chat('b'))
+  const all = await replay.since(ROOM, start)
+  assert.equal(all.seq, b)
+  assert.deepEqual(all.events.map((e) => [e.payload.text, e.origin, e.seq]), [['a', 's1', a], ['b', null, b]])
+  assert.deepEqual((await replay.since(ROOM, a)).events.map((e) => e.payload.text), ['b'])
+  assert.deepEqual((await replay.since(ROOM, b)).events, [])
+})
+
+test('a client that joined before anything was logged can replay from the start', async () => {
+  const replay = log()
+  const joinedAt = await replay.current(ROOM)
+  replay.append(ROOM, chat('a'))
+  assert.equal((await replay.since(ROOM, joinedAt)).events.length, 1)
+})
+
+test('nothing from before the log was opened can be replayed', async () => {
+  const replay = log()
+  assert.deepEqual(await replay.since(ROOM, 0), { seq: 0, events: [] })
+  assert.equal((await replay.since(ROOM, 123)).events, null)
+  replay.append(ROOM, chat('a'))
+  assert.equal((await replay.since(ROOM, 123)).events, null)
+})
+
+test('a sequence ahead of the log means it was reset', async () => {
+  const replay = log()
+  const seq = replay.append(ROOM, chat('a'))
+  assert.equal((await replay.since(ROOM, seq + 1)).events, null)
+})
+
+test('events dropped by the count cap make older clients resync', async () => {
+  const replay = log({ maxEvents: 2 })
+  const start = await replay.current(ROOM)
+  const a = replay.append(ROOM, chat('a'))
+  const b = replay.append(ROOM, chat('b'))
+  replay.append(ROOM, chat('c'))
+  assert.equal((await replay.since(ROOM, start)).events, null)
+  assert.equal((await replay.since(ROOM, a)).events.length, 2)
+  assert.equal((await replay.since(ROOM, b)).events.length, 1)
+})
+
+test('the byte cap trims the oldest events', async () => {
+  const replay = log({ maxBytes: 400 })
+  const start = await replay.current(ROOM)
+  let last = start
+  for (let i = 0; i < 10; i++) last = replay.append(ROOM, chat('x'.repeat(50)))
+  const kept = replay.rooms.get(ROOM)
+  assert.ok(kept.bytes <= 400)
+  assert.ok(kept.events.length < 10)
+  assert.equal((await replay.since(ROOM, start)).events, null)
+  assert.equal((await replay.since(ROOM, kept.floor)).events.at(-1).seq, last)
+})
+
+test('resync markers stand in for snapshots and oversize events', async () => {
+  const replay = log({ maxBytes: 200 })
+  const start = await replay.current(ROOM)
+  replay.append(ROOM, { event: 'history:restore', payload: RESYNC, origin: 's1' })
+  assert.equal((await replay.since(ROOM, start)).events, null)
+  const marker = JSON.parse(replay.rooms.get(ROOM).events.at(-1).raw)
+  assert.deepEqual(Object.keys(marker).sort(), ['event', 'origin', 'resync', 'seq'])
+  assert.equal(marker.origin, 's1')
+
+  const after = replay.append(ROOM, chat('small'))
+  replay.append(ROOM, chat('y'.repeat(500)))
+  assert.equal((await replay.since(ROOM, after)).events, null)
+  assert.ok(replay.rooms.get(ROOM).bytes <= 200)
+})
+
+test('rooms are logged separately', async () => {
+  const replay = log()
+  const start = await replay.current('mindmap:m2')
+  replay.append(ROOM, chat('a'))
+  assert.deepEqual((await replay.since('mindmap:m2', start)).events, [])
+})
+
+test('since leaves out events for other clients, and their resync markers', async () => {
+  const replay = log()
+  const start = await replay.current(ROOM)
+  replay.append(ROOM, { event: 'mindmap:doc:ops', payload: { ops: [] }, origin: null, feature: 'doc-ops' })
+  replay.append(ROOM, { event: 'mindmap:nodes:change', payload: RESYNC, origin: 's1', withoutFeature: 'doc-ops' })
+  const withOps = await replay.since(ROOM, start, (e) => !e.withoutFeature)
+  assert.deepEqual(withOps.events.map((e) => e.event), ['mindmap:doc:ops'])
+  assert.equal((await replay.since(ROOM, start, (e) => !e.feature)).events, null)
+})
+
+// ioredis-mock clients share one store, like two instances on one Redis
+const redisLog = (options = {}) =>
+  new RedisReplayLog({ redis: new RedisMock(), maxEvents: 100, maxBytes: 64 * 1024, ttlMs: 60 * 1000, prefix: `test:replay:${Math.random()}`, ...options })
+
+test('instances sharing Redis number a room\'s events from one counter', async () => {
+  const prefix = `test:replay:${Math.random()}`
+  const a = redisLog({ prefix })
+  const b = redisLog({ prefix })
+  const start = await a.current(ROOM)
+  const first = await a.append(ROOM, chat('a1', 'sa'))
+  const second = await a.append(ROOM, chat('a2', 'sa'))
+  const third = await b.append(ROOM, chat('b1', 'sb'))
+  assert.deepEqual([second - first, third - second], [1, 1])
+  assert.equal(await b.current(ROOM), third)
+
+  const missed = await b.since(ROOM, first)
+  assert.deepEqual(missed.events.map((e) => [e.payload.text, e.seq]), [['a2', second], ['b1', third]])
+  assert.equal(missed.seq, third)
+  assert.equal((await a.since(ROOM, start)).events.length, 3)
+})
+
+test('identical events are kept apart in Redis, and the cap makes older clients resync', async () => {
+  const replay = redisLog({ maxEvents: 2 })
+  const start = await replay.current(ROOM)
+  const a = await replay.append(ROOM, chat('same'))
+  await replay.append(ROOM, chat('same'))
+  await replay.append(ROOM, chat('same'))
+  assert.equal((await replay.since(ROOM, start)).events, null)
+  assert.equal((await replay.since(ROOM, a)).events.length, 2)
+})